@@ -0,0 +1,93 @@
+// server/app.js
+const express = require('express');
+const http = require('http'); // Node.js built-in HTTP module
+const { Server } = require('socket.io');
+const cors = require('cors');
+const { registerSocketHandlers } = require('./socket');
+const { createSessionHub } = require('./socket/sessionHub');
+const { createSocketAuth } = require('./auth/socketAuth');
+const { createAuthRouter } = require('./routes/auth');
+const { createDecksRouter } = require('./routes/decks');
+const { createCardsRouter } = require('./routes/cards');
+const { createSessionsRouter } = require('./routes/sessions');
+const { createHealthRouter } = require('./routes/health');
+const { MAX_PAYLOAD_BYTES } = require('./socket/rateLimits');
+const { logger } = require('./logger');
+
+// Largest JSON body the HTTP routes accept
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Builds the Express app, HTTP server and Socket.IO server around a storage
+// instance (see storage/index.js). Listening is left to the caller, and so is
+// closing storage after close().
+function createApp(storage) {
+    const app = express();
+    const server = http.createServer(app);
+    let shuttingDown = false;
+
+    const io = new Server(server, {
+        cors: {
+            origin: process.env.CLIENT_URL || "http://localhost:3000", // Allow your React app to connect
+            methods: ["GET", "POST"]
+        },
+        // Oversized events under this get PAYLOAD_TOO_LARGE (see socket/rateLimits.js);
+        // anything bigger drops the connection
+        maxHttpBufferSize: 4 * MAX_PAYLOAD_BYTES
+    });
+
+    // Middleware for Express HTTP routes
+    app.use(cors({
+        origin: process.env.CLIENT_URL || "http://localhost:3000",
+        methods: ["GET", "POST", "PUT", "DELETE"]
+    }));
+    app.use(express.json({ limit: MAX_BODY_BYTES })); // For parsing JSON request bodies
+
+    // Every request logs with its method and path; requireAuth adds the user
+    app.use((req, res, next) => {
+        req.log = logger.child({ method: req.method, path: req.path });
+        next();
+    });
+
+    // Rooms and presence; routes that change a session tell connected clients through it
+    const hub = createSessionHub(io, storage);
+
+    // Basic API Route (for testing if server is running)
+    app.get('/', (req, res) => {
+        res.send('NuVerse Backend is running!');
+    });
+    app.use(createHealthRouter(storage, { isShuttingDown: () => shuttingDown }));
+
+    // Registration and login; hands out the token sockets authenticate with
+    app.use('/api/auth', createAuthRouter(storage));
+    app.use('/api/decks', createDecksRouter(storage));
+    app.use('/api/cards', createCardsRouter(storage));
+    app.use('/api/sessions', createSessionsRouter(storage, hub));
+
+    // Bodies express.json() refused: too large or not JSON
+    app.use((err, req, res, next) => {
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Request bodies are limited to ${MAX_BODY_BYTES} bytes.`, code: 'PAYLOAD_TOO_LARGE' });
+        }
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Request body is not valid JSON.', code: 'INVALID_JSON' });
+        }
+        next(err);
+    });
+
+    // Every socket must present a valid session token before any handler runs
+    io.use(createSocketAuth(storage));
+    registerSocketHandlers(io, storage, hub);
+
+    // Stops taking connections, tells connected clients the server is going away
+    // and disconnects them. Resolves once the HTTP server has closed.
+    function close() {
+        shuttingDown = true;
+        hub.close();
+        io.emit('server:shuttingDown', {});
+        return new Promise(resolve => io.close(() => resolve()));
+    }
+
+    return { app, server, io, close };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,29 @@
+// server/auth/httpAuth.js
+const { verifyToken } = require('./tokens');
+
+// Express middleware for routes that need a logged-in user. Expects the token
+// from /api/auth/login as "Authorization: Bearer <token>" and sets req.user.
+function requireAuth(storage) {
+    return async (req, res, next) => {
+        const [scheme, token] = (req.get('authorization') || '').split(' ');
+        const payload = scheme === 'Bearer' ? verifyToken(token) : null;
+        if (!payload) {
+            return res.status(401).json({ error: 'Authentication required.' });
+        }
+
+        try {
+            const user = await storage.users.findById(payload.sub);
+            if (!user) {
+                return res.status(401).json({ error: 'Authentication required.' });
+            }
+            req.user = { userId: user.user_id, username: user.username };
+            req.log = req.log.child({ userId: user.user_id, username: user.username });
+            next();
+        } catch (err) {
+            req.log.error('Failed to authenticate request', { err });
+            res.status(500).json({ error: 'Authentication failed.' });
+        }
+    };
+}
+
+module.exports = { requireAuth };
@@ -0,0 +1,30 @@
+// server/auth/socketAuth.js
+const { verifyToken } = require('./tokens');
+const { logger } = require('../logger');
+
+// Socket.IO middleware: the client passes the token from /api/auth/login as
+// `io(url, { auth: { token } })`. The authenticated user ends up on socket.data.user,
+// and handlers use that instead of anything in the event payload.
+function createSocketAuth(storage) {
+    return async (socket, next) => {
+        const token = socket.handshake.auth?.token;
+        const payload = verifyToken(token);
+        if (!payload) {
+            return next(new Error('Unauthorized'));
+        }
+
+        try {
+            const user = await storage.users.findById(payload.sub);
+            if (!user) {
+                return next(new Error('Unauthorized'));
+            }
+            socket.data.user = { userId: user.user_id, username: user.username };
+            next();
+        } catch (err) {
+            logger.error('Failed to authenticate socket', { socketId: socket.id, err });
+            next(new Error('Authentication failed'));
+        }
+    };
+}
+
+module.exports = { createSocketAuth };
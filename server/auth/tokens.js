@@ -0,0 +1,48 @@
+// server/auth/tokens.js
+// Compact HMAC-SHA256 signed session tokens: "<base64url payload>.<base64url signature>".
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL_SECONDS) || 60 * 60 * 24 * 7; // 7 days
+
+let secret = process.env.AUTH_TOKEN_SECRET;
+if (!secret) {
+    // Fine for local dev, but every restart invalidates every issued token
+    logger.warn('AUTH_TOKEN_SECRET is not set; using a random per-process secret.');
+    secret = crypto.randomBytes(32).toString('hex');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function issueToken(user) {
+    const payload = {
+        sub: user.user_id,
+        username: user.username,
+        exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS
+    };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encoded}.${sign(encoded)}`;
+}
+
+// Returns the payload for a valid, unexpired token, otherwise null
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+    const [encoded, signature] = token.split('.');
+    if (!encoded || !signature) return null;
+
+    const expected = Buffer.from(sign(encoded));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+        return payload;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = { issueToken, verifyToken };
@@ -0,0 +1,116 @@
+// server/db/migrations/001_initial_schema.js
+// Initial NuVerse schema, matching the columns the socket handlers read and write today.
+
+module.exports = {
+    up: [
+        `CREATE TABLE users (
+            user_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            username VARCHAR(64) NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id),
+            UNIQUE KEY uq_users_username (username)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+        `CREATE TABLE game_sessions (
+            session_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            gm_user_id INT UNSIGNED NULL,
+            session_name VARCHAR(128) NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (session_id),
+            UNIQUE KEY uq_game_sessions_name (session_name),
+            CONSTRAINT fk_game_sessions_gm FOREIGN KEY (gm_user_id)
+                REFERENCES users (user_id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+        `CREATE TABLE player_sessions (
+            player_session_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            user_id INT UNSIGNED NOT NULL,
+            session_id INT UNSIGNED NOT NULL,
+            joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (player_session_id),
+            UNIQUE KEY uq_player_sessions_user_session (user_id, session_id),
+            CONSTRAINT fk_player_sessions_user FOREIGN KEY (user_id)
+                REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_player_sessions_session FOREIGN KEY (session_id)
+                REFERENCES game_sessions (session_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+        `CREATE TABLE cards (
+            card_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            card_name VARCHAR(128) NOT NULL,
+            card_type VARCHAR(32) NOT NULL,
+            description TEXT NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 0,
+            power_level INT NULL,
+            card_hero_type VARCHAR(64) NULL,
+            card_hero_class VARCHAR(64) NULL,
+            card_hero_role VARCHAR(64) NULL,
+            card_ability_class_melee TINYINT(1) NULL,
+            card_ability_class_longrange TINYINT(1) NULL,
+            card_ability_class_areaofeffect TINYINT(1) NULL,
+            card_ability_class_duration INT NULL,
+            card_ability_is_burst TINYINT(1) NULL,
+            card_ability_burst_link_action VARCHAR(64) NULL,
+            card_ability_burst_effect VARCHAR(255) NULL,
+            card_suit_might_modifier INT NULL,
+            card_suit_agility_modifier INT NULL,
+            card_suit_guts_modifier INT NULL,
+            card_suit_intellect_modifier INT NULL,
+            card_suit_rally_modifier INT NULL,
+            card_weapon_damage INT NULL,
+            card_weapon_range INT NULL,
+            card_weapon_effect_slot1 VARCHAR(64) NULL,
+            card_weapon_effect_slot2 VARCHAR(64) NULL,
+            card_weapon_effect_slot3 VARCHAR(64) NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (card_id),
+            KEY idx_cards_type (card_type)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+        `CREATE TABLE player_cards (
+            player_card_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            user_id INT UNSIGNED NOT NULL,
+            card_id INT UNSIGNED NOT NULL,
+            session_id INT UNSIGNED NOT NULL,
+            location VARCHAR(32) NOT NULL DEFAULT 'CreatedCardStorage',
+            slot_id INT NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 0,
+            PRIMARY KEY (player_card_id),
+            KEY idx_player_cards_session_location (session_id, location),
+            CONSTRAINT fk_player_cards_user FOREIGN KEY (user_id)
+                REFERENCES users (user_id) ON DELETE CASCADE,
+            CONSTRAINT fk_player_cards_card FOREIGN KEY (card_id)
+                REFERENCES cards (card_id) ON DELETE RESTRICT,
+            CONSTRAINT fk_player_cards_session FOREIGN KEY (session_id)
+                REFERENCES game_sessions (session_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+        `CREATE TABLE combat_log (
+            log_id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            session_id INT UNSIGNED NOT NULL,
+            user_id INT UNSIGNED NULL,
+            card_id INT UNSIGNED NULL,
+            action_type VARCHAR(64) NOT NULL,
+            action_description TEXT NULL,
+            action_timestamp TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+            PRIMARY KEY (log_id),
+            KEY idx_combat_log_session_time (session_id, action_timestamp),
+            CONSTRAINT fk_combat_log_session FOREIGN KEY (session_id)
+                REFERENCES game_sessions (session_id) ON DELETE CASCADE,
+            CONSTRAINT fk_combat_log_user FOREIGN KEY (user_id)
+                REFERENCES users (user_id) ON DELETE SET NULL,
+            CONSTRAINT fk_combat_log_card FOREIGN KEY (card_id)
+                REFERENCES cards (card_id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    ],
+
+    // Drop in reverse dependency order
+    down: [
+        'DROP TABLE IF EXISTS combat_log',
+        'DROP TABLE IF EXISTS player_cards',
+        'DROP TABLE IF EXISTS cards',
+        'DROP TABLE IF EXISTS player_sessions',
+        'DROP TABLE IF EXISTS game_sessions',
+        'DROP TABLE IF EXISTS users'
+    ]
+};
@@ -0,0 +1,12 @@
+// server/db/migrations/002_user_credentials.js
+// Password hashes for registered users. Left nullable so the dummy users the
+// old join flow created still load; they simply can't log in.
+
+module.exports = {
+    up: [
+        'ALTER TABLE users ADD COLUMN password_hash VARCHAR(255) NULL AFTER username'
+    ],
+    down: [
+        'ALTER TABLE users DROP COLUMN password_hash'
+    ]
+};
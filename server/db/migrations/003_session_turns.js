@@ -0,0 +1,30 @@
+// server/db/migrations/003_session_turns.js
+// Turn state per game session. turn_phase stays NULL until the GM starts turns.
+
+module.exports = {
+    up: [
+        `ALTER TABLE game_sessions
+            ADD COLUMN turn_round INT UNSIGNED NOT NULL DEFAULT 0,
+            ADD COLUMN turn_index INT UNSIGNED NOT NULL DEFAULT 0,
+            ADD COLUMN turn_phase VARCHAR(16) NULL`,
+
+        `CREATE TABLE session_turn_order (
+            session_id INT UNSIGNED NOT NULL,
+            position INT UNSIGNED NOT NULL,
+            user_id INT UNSIGNED NOT NULL,
+            PRIMARY KEY (session_id, position),
+            UNIQUE KEY uq_session_turn_order_user (session_id, user_id),
+            CONSTRAINT fk_session_turn_order_session FOREIGN KEY (session_id)
+                REFERENCES game_sessions (session_id) ON DELETE CASCADE,
+            CONSTRAINT fk_session_turn_order_user FOREIGN KEY (user_id)
+                REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS session_turn_order',
+        `ALTER TABLE game_sessions
+            DROP COLUMN turn_round,
+            DROP COLUMN turn_index,
+            DROP COLUMN turn_phase`
+    ]
+};
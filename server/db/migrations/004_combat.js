@@ -0,0 +1,32 @@
+// server/db/migrations/004_combat.js
+// Damage taken by card instances, and lingering effects that tick across turns.
+
+module.exports = {
+    up: [
+        'ALTER TABLE player_cards ADD COLUMN damage INT UNSIGNED NOT NULL DEFAULT 0 AFTER is_active',
+
+        `CREATE TABLE card_effects (
+            effect_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            session_id INT UNSIGNED NOT NULL,
+            source_player_card_id INT UNSIGNED NULL,
+            target_player_card_id INT UNSIGNED NOT NULL,
+            effect_name VARCHAR(128) NOT NULL,
+            effect_type VARCHAR(32) NOT NULL,
+            amount INT NOT NULL DEFAULT 0,
+            remaining_turns INT UNSIGNED NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (effect_id),
+            KEY idx_card_effects_session (session_id),
+            CONSTRAINT fk_card_effects_session FOREIGN KEY (session_id)
+                REFERENCES game_sessions (session_id) ON DELETE CASCADE,
+            CONSTRAINT fk_card_effects_source FOREIGN KEY (source_player_card_id)
+                REFERENCES player_cards (player_card_id) ON DELETE SET NULL,
+            CONSTRAINT fk_card_effects_target FOREIGN KEY (target_player_card_id)
+                REFERENCES player_cards (player_card_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS card_effects',
+        'ALTER TABLE player_cards DROP COLUMN damage'
+    ]
+};
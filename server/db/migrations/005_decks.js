@@ -0,0 +1,44 @@
+// server/db/migrations/005_decks.js
+// Reusable per-user deck lists, a seeded RNG per session, and a hidden
+// draw-pile position for cards in the Deck zone.
+
+module.exports = {
+    up: [
+        `CREATE TABLE decks (
+            deck_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            user_id INT UNSIGNED NOT NULL,
+            deck_name VARCHAR(64) NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (deck_id),
+            UNIQUE KEY uq_decks_user_name (user_id, deck_name),
+            CONSTRAINT fk_decks_user FOREIGN KEY (user_id)
+                REFERENCES users (user_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+        `CREATE TABLE deck_cards (
+            deck_id INT UNSIGNED NOT NULL,
+            card_id INT UNSIGNED NOT NULL,
+            quantity INT UNSIGNED NOT NULL DEFAULT 1,
+            PRIMARY KEY (deck_id, card_id),
+            CONSTRAINT fk_deck_cards_deck FOREIGN KEY (deck_id)
+                REFERENCES decks (deck_id) ON DELETE CASCADE,
+            CONSTRAINT fk_deck_cards_card FOREIGN KEY (card_id)
+                REFERENCES cards (card_id) ON DELETE RESTRICT
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+        `ALTER TABLE game_sessions
+            ADD COLUMN rng_seed VARCHAR(64) NULL,
+            ADD COLUMN rng_state INT UNSIGNED NULL`,
+
+        'ALTER TABLE player_cards ADD COLUMN deck_position INT UNSIGNED NULL AFTER slot_id'
+    ],
+    down: [
+        'ALTER TABLE player_cards DROP COLUMN deck_position',
+        `ALTER TABLE game_sessions
+            DROP COLUMN rng_seed,
+            DROP COLUMN rng_state`,
+        'DROP TABLE IF EXISTS deck_cards',
+        'DROP TABLE IF EXISTS decks'
+    ]
+};
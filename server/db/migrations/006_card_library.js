@@ -0,0 +1,43 @@
+// server/db/migrations/006_card_library.js
+// Cards become reusable, versioned definitions. Edits snapshot the previous
+// version into card_versions; deletes are soft so existing instances keep working.
+
+module.exports = {
+    up: [
+        `ALTER TABLE cards
+            ADD COLUMN author_user_id INT UNSIGNED NULL AFTER card_id,
+            ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1,
+            ADD COLUMN updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            ADD COLUMN deleted_at TIMESTAMP NULL,
+            ADD KEY idx_cards_power_level (power_level),
+            ADD KEY idx_cards_hero_class (card_hero_class),
+            ADD KEY idx_cards_hero_role (card_hero_role),
+            ADD CONSTRAINT fk_cards_author FOREIGN KEY (author_user_id)
+                REFERENCES users (user_id) ON DELETE SET NULL`,
+
+        `CREATE TABLE card_versions (
+            card_id INT UNSIGNED NOT NULL,
+            version INT UNSIGNED NOT NULL,
+            snapshot JSON NOT NULL,
+            edited_by_user_id INT UNSIGNED NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (card_id, version),
+            CONSTRAINT fk_card_versions_card FOREIGN KEY (card_id)
+                REFERENCES cards (card_id) ON DELETE CASCADE,
+            CONSTRAINT fk_card_versions_editor FOREIGN KEY (edited_by_user_id)
+                REFERENCES users (user_id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS card_versions',
+        `ALTER TABLE cards
+            DROP FOREIGN KEY fk_cards_author,
+            DROP KEY idx_cards_power_level,
+            DROP KEY idx_cards_hero_class,
+            DROP KEY idx_cards_hero_role,
+            DROP COLUMN author_user_id,
+            DROP COLUMN version,
+            DROP COLUMN updated_at,
+            DROP COLUMN deleted_at`
+    ]
+};
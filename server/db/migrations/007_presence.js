@@ -0,0 +1,15 @@
+// server/db/migrations/007_presence.js
+// Whether each member of a session is connected, and when they were last seen.
+
+module.exports = {
+    up: [
+        `ALTER TABLE player_sessions
+            ADD COLUMN presence VARCHAR(16) NOT NULL DEFAULT 'offline',
+            ADD COLUMN last_seen_at TIMESTAMP(3) NULL`
+    ],
+    down: [
+        `ALTER TABLE player_sessions
+            DROP COLUMN presence,
+            DROP COLUMN last_seen_at`
+    ]
+};
@@ -0,0 +1,16 @@
+// server/db/migrations/008_roles.js
+// Per-member roles (the GM is still game_sessions.gm_user_id) and a flag for
+// cards the GM has revealed while they sit in a face-down zone.
+
+module.exports = {
+    up: [
+        `ALTER TABLE player_sessions
+            ADD COLUMN role VARCHAR(16) NOT NULL DEFAULT 'player'`,
+        `ALTER TABLE player_cards
+            ADD COLUMN is_revealed TINYINT(1) NOT NULL DEFAULT 0`
+    ],
+    down: [
+        'ALTER TABLE player_cards DROP COLUMN is_revealed',
+        'ALTER TABLE player_sessions DROP COLUMN role'
+    ]
+};
@@ -0,0 +1,28 @@
+// server/db/migrations/009_session_lifecycle.js
+// Sessions are created from the lobby with settings and move through
+// lobby -> in_progress -> finished. Archived sessions drop out of listings.
+
+module.exports = {
+    up: [
+        `ALTER TABLE game_sessions
+            ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT 'lobby',
+            ADD COLUMN max_players INT UNSIGNED NULL,
+            ADD COLUMN password_hash VARCHAR(255) NULL,
+            ADD COLUMN ruleset JSON NULL,
+            ADD COLUMN started_at TIMESTAMP NULL,
+            ADD COLUMN finished_at TIMESTAMP NULL,
+            ADD COLUMN archived_at TIMESTAMP NULL,
+            ADD KEY idx_game_sessions_status (status)`
+    ],
+    down: [
+        `ALTER TABLE game_sessions
+            DROP KEY idx_game_sessions_status,
+            DROP COLUMN archived_at,
+            DROP COLUMN finished_at,
+            DROP COLUMN started_at,
+            DROP COLUMN ruleset,
+            DROP COLUMN password_hash,
+            DROP COLUMN max_players,
+            DROP COLUMN status`
+    ]
+};
@@ -0,0 +1,32 @@
+// server/db/migrations/010_session_events.js
+// Structured history of every change to a session's card instances. Each event
+// gets the next number from game_sessions.event_seq and lists, per card it
+// touched, the card's state before and after (null when the card didn't exist).
+
+module.exports = {
+    up: [
+        'ALTER TABLE game_sessions ADD COLUMN event_seq INT UNSIGNED NOT NULL DEFAULT 0',
+
+        `CREATE TABLE session_events (
+            event_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+            session_id INT UNSIGNED NOT NULL,
+            seq INT UNSIGNED NOT NULL,
+            event_type VARCHAR(32) NOT NULL,
+            actor_user_id INT UNSIGNED NULL,
+            player_card_id INT UNSIGNED NULL,
+            changes JSON NOT NULL,
+            reverted_by_seq INT UNSIGNED NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (event_id),
+            UNIQUE KEY uq_session_events_seq (session_id, seq),
+            CONSTRAINT fk_session_events_session FOREIGN KEY (session_id)
+                REFERENCES game_sessions (session_id) ON DELETE CASCADE,
+            CONSTRAINT fk_session_events_actor FOREIGN KEY (actor_user_id)
+                REFERENCES users (user_id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    ],
+    down: [
+        'DROP TABLE IF EXISTS session_events',
+        'ALTER TABLE game_sessions DROP COLUMN event_seq'
+    ]
+};
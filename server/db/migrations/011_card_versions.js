@@ -0,0 +1,12 @@
+// server/db/migrations/011_card_versions.js
+// Optimistic concurrency for card instances: every write bumps the version, and
+// clients echo the version they last saw when acting on a card.
+
+module.exports = {
+    up: [
+        'ALTER TABLE player_cards ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1'
+    ],
+    down: [
+        'ALTER TABLE player_cards DROP COLUMN version'
+    ]
+};
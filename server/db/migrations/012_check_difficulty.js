@@ -0,0 +1,12 @@
+// server/db/migrations/012_check_difficulty.js
+// The difficulty the GM has set for suit checks; NULL means checks are rolled
+// without a target.
+
+module.exports = {
+    up: [
+        'ALTER TABLE game_sessions ADD COLUMN check_difficulty INT NULL'
+    ],
+    down: [
+        'ALTER TABLE game_sessions DROP COLUMN check_difficulty'
+    ]
+};
@@ -0,0 +1,13 @@
+// server/db/migrations/013_effect_events.js
+// The seq of the session event whose action created each effect, so undoing
+// that event can take the effect back. NULL for effects created before this
+// migration or by actions that changed no card.
+
+module.exports = {
+    up: [
+        'ALTER TABLE card_effects ADD COLUMN event_seq INT UNSIGNED NULL'
+    ],
+    down: [
+        'ALTER TABLE card_effects DROP COLUMN event_seq'
+    ]
+};
@@ -0,0 +1,81 @@
+// server/db/migrator.js
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Read every migration file, sorted by its numeric version prefix
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = MIGRATION_FILE_PATTERN.exec(file);
+            if (!match) return null;
+            const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+            return { version: match[1], name: match[2], up, down };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(32) NOT NULL,
+            name VARCHAR(128) NOT NULL,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (version)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+    );
+}
+
+async function getAppliedVersions(pool) {
+    await ensureMigrationsTable(pool);
+    const [rows] = await pool.query('SELECT version FROM schema_migrations ORDER BY version ASC');
+    return new Set(rows.map(row => row.version));
+}
+
+// Returns every known migration with an `applied` flag, plus the pending subset
+async function getStatus(pool) {
+    const applied = await getAppliedVersions(pool);
+    const migrations = loadMigrations().map(m => ({ ...m, applied: applied.has(m.version) }));
+    return { migrations, pending: migrations.filter(m => !m.applied) };
+}
+
+// DDL auto-commits in MySQL, so each statement runs on its own and the
+// migration is only recorded once all of them have succeeded.
+async function migrateUp(pool) {
+    const { pending } = await getStatus(pool);
+    for (const migration of pending) {
+        console.log(`[Migrate] Applying ${migration.version}_${migration.name}`);
+        for (const statement of migration.up) {
+            await pool.query(statement);
+        }
+        await pool.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    }
+    return pending;
+}
+
+async function migrateDown(pool, steps = 1) {
+    const { migrations } = await getStatus(pool);
+    const toRevert = migrations.filter(m => m.applied).reverse().slice(0, steps);
+    for (const migration of toRevert) {
+        console.log(`[Migrate] Reverting ${migration.version}_${migration.name}`);
+        for (const statement of migration.down) {
+            await pool.query(statement);
+        }
+        await pool.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+    return toRevert;
+}
+
+// Used at server startup: throws if any migration has not been applied yet
+async function assertSchemaCurrent(pool) {
+    const { pending } = await getStatus(pool);
+    if (pending.length > 0) {
+        const names = pending.map(m => `${m.version}_${m.name}`).join(', ');
+        throw new Error(`Database schema is behind. Pending migrations: ${names}. Run "npm run migrate:up".`);
+    }
+}
+
+module.exports = { loadMigrations, getStatus, migrateUp, migrateDown, assertSchemaCurrent };
@@ -0,0 +1,17 @@
+// server/db/pool.js
+const mysql = require('mysql2/promise');
+
+// Shared pool factory so the server and the CLI scripts connect the same way
+function createPool() {
+    return mysql.createPool({
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME,
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0
+    });
+}
+
+module.exports = { createPool };
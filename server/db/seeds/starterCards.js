@@ -0,0 +1,70 @@
+// server/db/seeds/starterCards.js
+// Starter card library loaded by `npm run seed`. Cards are matched by card_name,
+// so re-running the seed never creates duplicates.
+
+module.exports = [
+    // Heroes
+    {
+        card_name: 'Iron Vanguard', card_type: 'Hero', power_level: 3,
+        description: 'A frontline defender who draws enemy fire.',
+        card_hero_type: 'Human', card_hero_class: 'Brawler', card_hero_role: 'Tank',
+        card_suit_might_modifier: 2, card_suit_agility_modifier: 0, card_suit_guts_modifier: 2, card_suit_intellect_modifier: 0, card_suit_rally_modifier: 1
+    },
+    {
+        card_name: 'Skyline Sharpshooter', card_type: 'Hero', power_level: 3,
+        description: 'Picks off targets from the rooftops.',
+        card_hero_type: 'Human', card_hero_class: 'Marksman', card_hero_role: 'Striker',
+        card_suit_might_modifier: 0, card_suit_agility_modifier: 3, card_suit_guts_modifier: 1, card_suit_intellect_modifier: 1, card_suit_rally_modifier: 0
+    },
+    {
+        card_name: 'Veil Oracle', card_type: 'Hero', power_level: 4,
+        description: 'Bends probability in favour of their allies.',
+        card_hero_type: 'Mystic', card_hero_class: 'Seer', card_hero_role: 'Support',
+        card_suit_might_modifier: 0, card_suit_agility_modifier: 1, card_suit_guts_modifier: 0, card_suit_intellect_modifier: 3, card_suit_rally_modifier: 2
+    },
+
+    // Weapons
+    {
+        card_name: 'Shock Gauntlets', card_type: 'Weapon', power_level: 2,
+        description: 'Close-quarters gauntlets that stun on impact.',
+        card_weapon_damage: 3, card_weapon_range: 1, card_weapon_effect_slot1: 'Stun'
+    },
+    {
+        card_name: 'Rail Rifle', card_type: 'Weapon', power_level: 3,
+        description: 'Long-barrelled rifle with armour-piercing rounds.',
+        card_weapon_damage: 4, card_weapon_range: 5, card_weapon_effect_slot1: 'Pierce'
+    },
+    {
+        card_name: 'Ember Grenades', card_type: 'Weapon', power_level: 2,
+        description: 'Incendiary grenades that keep burning.',
+        card_weapon_damage: 2, card_weapon_range: 3, card_weapon_effect_slot1: 'Burn', card_weapon_effect_slot2: 'Splash'
+    },
+
+    // Abilities
+    {
+        card_name: 'Haymaker', card_type: 'Ability', power_level: 1,
+        description: 'A heavy melee strike.',
+        card_ability_class_melee: 1, card_ability_class_longrange: 0, card_ability_class_areaofeffect: 0,
+        card_suit_might_modifier: 1
+    },
+    {
+        card_name: 'Covering Fire', card_type: 'Ability', power_level: 2,
+        description: 'Suppresses an area for two turns.',
+        card_ability_class_melee: 0, card_ability_class_longrange: 1, card_ability_class_areaofeffect: 1, card_ability_class_duration: 2,
+        card_suit_agility_modifier: 1
+    },
+    {
+        card_name: 'Rallying Cry', card_type: 'Ability', power_level: 2,
+        description: 'Inspires allies, then chains into a follow-up strike.',
+        card_ability_class_melee: 0, card_ability_class_longrange: 0, card_ability_class_areaofeffect: 1, card_ability_class_duration: 1,
+        card_ability_is_burst: 1, card_ability_burst_link_action: 'Haymaker', card_ability_burst_effect: 'Extra attack',
+        card_suit_rally_modifier: 2
+    },
+
+    // Effects
+    {
+        card_name: 'Second Wind', card_type: 'Effect', power_level: 1,
+        description: 'Shrug off a status effect.',
+        card_suit_guts_modifier: 1
+    }
+];
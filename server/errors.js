@@ -0,0 +1,24 @@
+// server/errors.js
+
+// A rule violation or bad request the client should be told about, as opposed to
+// an unexpected failure. `code` is a stable machine-readable string for the client.
+class GameError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'GameError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// The client acted on a card that has changed since it last saw it. `card` is the
+// current player_cards row, sent back so the client can catch up.
+class ConflictError extends GameError {
+    constructor(card, expectedVersion) {
+        super('STALE_VERSION', 'This card has changed since you last saw it.', { playerCardId: card.player_card_id, version: card.version, expectedVersion });
+        this.name = 'ConflictError';
+        this.card = card;
+    }
+}
+
+module.exports = { GameError, ConflictError };
@@ -0,0 +1,151 @@
+// server/game/cardSchema.js
+// The one description of a card definition. It validates what clients and seeds
+// write to the cards table and shapes every card sent back out, so the column
+// list only lives here.
+const { GameError } = require('../errors');
+const { CARD_TYPES } = require('./zones');
+const { SUITS, WEAPON_EFFECTS } = require('./combat');
+const { canSeeCard } = require('./roles');
+
+// type: 'string' | 'int' | 'bool'. `appliesTo` lists the card types that may
+// carry the field (default: all). `required` is true, or a function of the
+// card for fields that depend on another field. `inPlay` marks the fields that
+// may still change once the card has instances in sessions, which play by the
+// live definition (burst links find abilities by name, so card_name isn't one).
+const CARD_SCHEMA = {
+    card_name: { type: 'string', maxLength: 128, required: true },
+    card_type: { type: 'string', oneOf: CARD_TYPES, required: true },
+    description: { type: 'string', maxLength: 2000, inPlay: true },
+    power_level: { type: 'int', min: 0, max: 10 },
+
+    card_hero_type: { type: 'string', maxLength: 64, appliesTo: ['Hero'] },
+    card_hero_class: { type: 'string', maxLength: 64, appliesTo: ['Hero'], required: true },
+    card_hero_role: { type: 'string', maxLength: 64, appliesTo: ['Hero'], required: true },
+
+    card_ability_class_melee: { type: 'bool', appliesTo: ['Ability'] },
+    card_ability_class_longrange: { type: 'bool', appliesTo: ['Ability'] },
+    card_ability_class_areaofeffect: { type: 'bool', appliesTo: ['Ability'] },
+    card_ability_class_duration: { type: 'int', min: 0, max: 10, appliesTo: ['Ability'] },
+    card_ability_is_burst: { type: 'bool', appliesTo: ['Ability'] },
+    card_ability_burst_link_action: { type: 'string', maxLength: 64, appliesTo: ['Ability'], required: card => Boolean(card.card_ability_is_burst) },
+    card_ability_burst_effect: { type: 'string', maxLength: 255, appliesTo: ['Ability'] },
+
+    ...Object.fromEntries(SUITS.map(suit => [`card_suit_${suit}_modifier`, { type: 'int', min: -5, max: 5 }])),
+
+    card_weapon_damage: { type: 'int', min: 0, max: 20, appliesTo: ['Weapon'], required: true },
+    card_weapon_range: { type: 'int', min: 1, max: 10, appliesTo: ['Weapon'], required: true },
+    card_weapon_effect_slot1: { type: 'string', oneOf: Object.keys(WEAPON_EFFECTS), appliesTo: ['Weapon'] },
+    card_weapon_effect_slot2: { type: 'string', oneOf: Object.keys(WEAPON_EFFECTS), appliesTo: ['Weapon'] },
+    card_weapon_effect_slot3: { type: 'string', oneOf: Object.keys(WEAPON_EFFECTS), appliesTo: ['Weapon'] }
+};
+
+const CARD_FIELDS = Object.keys(CARD_SCHEMA);
+const IN_PLAY_FIELDS = CARD_FIELDS.filter(field => CARD_SCHEMA[field].inPlay);
+
+// Returns [error message, normalised value]; booleans are stored as 0/1
+function checkValue(rule, value) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string' || !value.trim()) return ['Must be a non-empty string.'];
+            if (rule.maxLength && value.trim().length > rule.maxLength) return [`Must be at most ${rule.maxLength} characters.`];
+            if (rule.oneOf && !rule.oneOf.includes(value.trim())) return [`Must be one of: ${rule.oneOf.join(', ')}.`];
+            return [null, value.trim()];
+        case 'int':
+            if (!Number.isInteger(value)) return ['Must be an integer.'];
+            if (value < rule.min || value > rule.max) return [`Must be between ${rule.min} and ${rule.max}.`];
+            return [null, value];
+        case 'bool':
+            if (![true, false, 0, 1].includes(value)) return ['Must be true or false.'];
+            return [null, value ? 1 : 0];
+        default:
+            return [`Unknown rule type ${rule.type}.`];
+    }
+}
+
+// Checks `input` as a whole definition, or as changes to `current` when given.
+// Returns the normalised input fields; throws INVALID_CARD listing every bad field.
+function validateCard(input, current = null) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new GameError('INVALID_CARD', 'Card must be an object.', { errors: [{ field: null, message: 'Must be an object.' }] });
+    }
+    for (const field of Object.keys(input)) {
+        if (!CARD_SCHEMA[field]) errors.push({ field, message: 'Unknown field.' });
+    }
+
+    const merged = { ...(current ? pickCardFields(current) : {}), ...input };
+    const normalised = {};
+    for (const [field, rule] of Object.entries(CARD_SCHEMA)) {
+        const value = merged[field];
+        const applies = !rule.appliesTo || rule.appliesTo.includes(merged.card_type);
+        const required = typeof rule.required === 'function' ? rule.required(merged) : Boolean(rule.required);
+
+        if (value === undefined || value === null) {
+            if (required && applies) errors.push({ field, message: `Required for ${merged.card_type || 'every'} cards.` });
+            if (field in input) normalised[field] = null;
+            continue;
+        }
+        if (!applies && CARD_TYPES.includes(merged.card_type)) {
+            errors.push({ field, message: `Does not apply to ${merged.card_type} cards.` });
+            continue;
+        }
+        const [message, clean] = checkValue(rule, value);
+        if (message) {
+            errors.push({ field, message });
+        } else if (field in input) {
+            normalised[field] = clean;
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new GameError('INVALID_CARD', 'Card failed validation.', { errors });
+    }
+    return normalised;
+}
+
+function pickCardFields(row) {
+    return Object.fromEntries(CARD_FIELDS.map(field => [field, row[field] ?? null]));
+}
+
+// A library definition, as sent by /api/cards
+function toCardPayload(row) {
+    return {
+        card_id: row.card_id,
+        ...pickCardFields(row),
+        author_user_id: row.author_user_id ?? null,
+        version: row.version,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+// A card instance in a session (a player_cards row joined with its definition)
+function toPlayerCardPayload(row) {
+    return {
+        card_id: row.card_id,
+        player_card_id: row.player_card_id,
+        ownerId: row.user_id,
+        location: row.location,
+        slot_id: row.slot_id,
+        is_active: row.is_active,
+        is_revealed: row.is_revealed ?? 0,
+        damage: Number(row.damage) || 0,
+        version: row.version,
+        ...pickCardFields(row)
+    };
+}
+
+// The instance as `viewer` ({ userId, role }) may see it: face-down cards of
+// other players only show where they are
+function toPlayerCardView(row, viewer) {
+    if (canSeeCard(viewer, row)) return toPlayerCardPayload(row);
+    return {
+        player_card_id: row.player_card_id,
+        ownerId: row.user_id,
+        location: row.location,
+        slot_id: row.slot_id,
+        hidden: true
+    };
+}
+
+module.exports = { CARD_SCHEMA, CARD_FIELDS, IN_PLAY_FIELDS, validateCard, toCardPayload, toPlayerCardPayload, toPlayerCardView };
@@ -0,0 +1,204 @@
+// server/game/combat.js
+// Pure combat maths. Takes player_cards rows joined with their cards rows and
+// returns what should happen, with a breakdown of every number; the handlers
+// apply the result to storage.
+const { GameError } = require('../errors');
+
+const SUITS = ['might', 'agility', 'guts', 'intellect', 'rally'];
+const HERO_BASE_HEALTH = 10;
+const UNARMED_DAMAGE = 1;
+const MELEE_REACH = 1;
+const LONG_RANGE_REACH = 5;
+const MAX_BURST_CHAIN = 3;
+
+// What each card_weapon_effect_slotN value does when the weapon hits
+const WEAPON_EFFECTS = {
+    Pierce: { ignoresDefense: true },
+    Splash: { splash: true },
+    Burn: { effect: { type: 'damage_over_time', amount: 1, turns: 2 } },
+    Stun: { effect: { type: 'stunned', amount: 0, turns: 1 } }
+};
+
+function suitModifier(card, suit) {
+    return Number(card[`card_suit_${suit}_modifier`]) || 0;
+}
+
+function maxHealth(hero) {
+    return HERO_BASE_HEALTH + 2 * suitModifier(hero, 'guts');
+}
+
+// Boards face each other, so slot N on one side is distance 1 from slot N on the other
+function distanceBetween(a, b) {
+    return Math.abs(Number(a.slot_id) - Number(b.slot_id)) + 1;
+}
+
+function isStunned(card, effects) {
+    return effects.some(e => e.target_player_card_id === card.player_card_id && e.effect_type === 'stunned' && e.remaining_turns > 0);
+}
+
+function isOnBoard(card, types) {
+    return card.location === 'Board' && types.includes(card.card_type);
+}
+
+// Heroes on either side of `target` on its owner's board
+function adjacentHeroes(target, boardCards) {
+    return boardCards.filter(c =>
+        c.user_id === target.user_id &&
+        c.player_card_id !== target.player_card_id &&
+        isOnBoard(c, ['Hero']) &&
+        Math.abs(Number(c.slot_id) - Number(target.slot_id)) === 1
+    );
+}
+
+function weaponEffects(weapon) {
+    if (!weapon) return [];
+    return [weapon.card_weapon_effect_slot1, weapon.card_weapon_effect_slot2, weapon.card_weapon_effect_slot3]
+        .filter(name => name && WEAPON_EFFECTS[name])
+        .map(name => ({ name, ...WEAPON_EFFECTS[name] }));
+}
+
+function assertTargetable(actor, target, reach) {
+    if (!isOnBoard(target, ['Hero'])) {
+        throw new GameError('INVALID_TARGET', 'Only heroes on the board can be targeted.', { targetCardId: target.player_card_id });
+    }
+    if (target.user_id === actor.user_id) {
+        throw new GameError('INVALID_TARGET', 'You cannot target your own heroes.', { targetCardId: target.player_card_id });
+    }
+    const distance = distanceBetween(actor, target);
+    if (distance > reach) {
+        throw new GameError('OUT_OF_RANGE', `Target is ${distance} away but reach is ${reach}.`, { distance, reach });
+    }
+    return distance;
+}
+
+// Applies the target's guts as defence and floors the result at zero
+function finishHit(target, breakdown, ignoresDefense) {
+    const defense = suitModifier(target, 'guts');
+    if (defense && !ignoresDefense) {
+        breakdown.push({ label: `Defense (${target.card_name} guts)`, value: -defense });
+    } else if (defense) {
+        breakdown.push({ label: 'Defense ignored (Pierce)', value: 0 });
+    }
+    const total = breakdown.reduce((sum, item) => sum + item.value, 0);
+    return { playerCardId: target.player_card_id, damage: Math.max(0, total), breakdown };
+}
+
+// A hero on the board attacks with an optional weapon on the same board.
+// Melee hits (distance 1) add might; anything further adds agility.
+function resolveAttack({ attacker, weapon, target, boardCards, effects }) {
+    if (!isOnBoard(attacker, ['Hero'])) {
+        throw new GameError('INVALID_ATTACKER', 'Attacks must come from a hero on the board.', { attackerCardId: attacker.player_card_id });
+    }
+    if (weapon && (!isOnBoard(weapon, ['Weapon']) || weapon.user_id !== attacker.user_id)) {
+        throw new GameError('INVALID_WEAPON', 'Weapons must be on your board to attack with.', { weaponCardId: weapon.player_card_id });
+    }
+    if (isStunned(attacker, effects)) {
+        throw new GameError('STUNNED', `${attacker.card_name} is stunned.`, { attackerCardId: attacker.player_card_id });
+    }
+
+    const reach = weapon ? Math.max(Number(weapon.card_weapon_range) || 0, MELEE_REACH) : MELEE_REACH;
+    const distance = assertTargetable(attacker, target, reach);
+    const suit = distance <= MELEE_REACH ? 'might' : 'agility';
+    const specials = weaponEffects(weapon);
+
+    const breakdown = weapon
+        ? [{ label: `Weapon damage (${weapon.card_name})`, value: Number(weapon.card_weapon_damage) || 0 }]
+        : [{ label: 'Unarmed', value: UNARMED_DAMAGE }];
+    breakdown.push({ label: `${attacker.card_name} ${suit}`, value: suitModifier(attacker, suit) });
+    if (weapon && suitModifier(weapon, suit)) {
+        breakdown.push({ label: `${weapon.card_name} ${suit}`, value: suitModifier(weapon, suit) });
+    }
+
+    const ignoresDefense = specials.some(s => s.ignoresDefense);
+    const primary = finishHit(target, breakdown, ignoresDefense);
+    const hits = [primary];
+
+    // Splash deals half the primary hit to heroes either side of the target
+    if (specials.some(s => s.splash)) {
+        for (const neighbour of adjacentHeroes(target, boardCards)) {
+            hits.push({
+                playerCardId: neighbour.player_card_id,
+                damage: Math.floor(primary.damage / 2),
+                breakdown: [{ label: `Splash (half of ${primary.damage})`, value: Math.floor(primary.damage / 2) }]
+            });
+        }
+    }
+
+    const newEffects = specials
+        .filter(s => s.effect)
+        .map(s => ({ name: s.name, targetPlayerCardId: target.player_card_id, ...s.effect }));
+
+    return { kind: 'attack', distance, reach, hits, effects: newEffects };
+}
+
+// The suit an ability channels is whichever modifier it carries is highest
+function abilitySuit(ability) {
+    return SUITS.reduce((best, suit) => (suitModifier(ability, suit) > suitModifier(ability, best) ? suit : best), SUITS[0]);
+}
+
+// A hero on the board uses an ability card. Ability classes decide reach
+// (melee or long range) and spread (area of effect); duration turns the hit
+// into a lingering effect as well.
+function resolveAbility({ caster, ability, target, boardCards, effects }) {
+    if (!isOnBoard(caster, ['Hero'])) {
+        throw new GameError('INVALID_CASTER', 'Abilities must be used by a hero on the board.', { casterCardId: caster.player_card_id });
+    }
+    if (isStunned(caster, effects)) {
+        throw new GameError('STUNNED', `${caster.card_name} is stunned.`, { casterCardId: caster.player_card_id });
+    }
+    if (ability.card_type !== 'Ability' || ability.user_id !== caster.user_id || !['Hand', 'Board'].includes(ability.location)) {
+        throw new GameError('INVALID_ABILITY', 'That card is not an ability you can use.', { abilityCardId: ability.player_card_id });
+    }
+
+    const reach = ability.card_ability_class_longrange ? LONG_RANGE_REACH : MELEE_REACH;
+    const distance = assertTargetable(caster, target, reach);
+    const suit = abilitySuit(ability);
+
+    const base = [
+        { label: `Power level (${ability.card_name})`, value: Number(ability.power_level) || 0 },
+        { label: `${ability.card_name} ${suit}`, value: suitModifier(ability, suit) },
+        { label: `${caster.card_name} ${suit}`, value: suitModifier(caster, suit) }
+    ];
+    const primary = finishHit(target, [...base], false);
+    const hits = [primary];
+
+    // Area of effect hits the heroes either side of the target just as hard
+    if (ability.card_ability_class_areaofeffect) {
+        for (const neighbour of adjacentHeroes(target, boardCards)) {
+            hits.push(finishHit(neighbour, [...base], false));
+        }
+    }
+
+    const duration = Number(ability.card_ability_class_duration) || 0;
+    const newEffects = duration > 0
+        ? hits.map(hit => ({
+            name: ability.card_name,
+            targetPlayerCardId: hit.playerCardId,
+            type: 'damage_over_time',
+            amount: Math.max(1, Math.floor(primary.damage / 2)),
+            turns: duration
+        }))
+        : [];
+
+    return {
+        kind: 'ability',
+        distance,
+        reach,
+        hits,
+        effects: newEffects,
+        burst: ability.card_ability_is_burst && ability.card_ability_burst_link_action
+            ? { linkAction: ability.card_ability_burst_link_action, effect: ability.card_ability_burst_effect }
+            : null
+    };
+}
+
+module.exports = {
+    SUITS,
+    WEAPON_EFFECTS,
+    MAX_BURST_CHAIN,
+    suitModifier,
+    maxHealth,
+    distanceBetween,
+    resolveAttack,
+    resolveAbility
+};
@@ -0,0 +1,41 @@
+// server/game/decks.js
+const { GameError } = require('../errors');
+
+const MAX_DECK_NAME_LENGTH = 64;
+const MAX_COPIES_PER_CARD = 4;
+const MAX_DECK_SIZE = 60;
+
+// Checks a { deckName, cards: [{ cardId, quantity }] } deck list and returns it
+// normalised. Whether each cardId exists is left to the caller.
+function validateDeckList({ deckName, cards } = {}) {
+    if (typeof deckName !== 'string' || !deckName.trim() || deckName.trim().length > MAX_DECK_NAME_LENGTH) {
+        throw new GameError('INVALID_DECK', `Deck name must be 1-${MAX_DECK_NAME_LENGTH} characters.`, { field: 'deckName' });
+    }
+    if (!Array.isArray(cards) || cards.length === 0) {
+        throw new GameError('INVALID_DECK', 'A deck needs at least one card.', { field: 'cards' });
+    }
+
+    const seen = new Set();
+    const normalised = cards.map(({ cardId, quantity = 1 }, index) => {
+        const id = Number(cardId);
+        if (!Number.isInteger(id) || id < 1) {
+            throw new GameError('INVALID_DECK', 'cardId must be a positive integer.', { field: `cards[${index}].cardId` });
+        }
+        if (seen.has(id)) {
+            throw new GameError('INVALID_DECK', `Card ${id} is listed more than once.`, { field: `cards[${index}].cardId` });
+        }
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_COPIES_PER_CARD) {
+            throw new GameError('INVALID_DECK', `quantity must be 1-${MAX_COPIES_PER_CARD}.`, { field: `cards[${index}].quantity` });
+        }
+        seen.add(id);
+        return { cardId: id, quantity };
+    });
+
+    const size = normalised.reduce((sum, c) => sum + c.quantity, 0);
+    if (size > MAX_DECK_SIZE) {
+        throw new GameError('INVALID_DECK', `A deck can hold at most ${MAX_DECK_SIZE} cards.`, { field: 'cards', size });
+    }
+    return { deckName: deckName.trim(), cards: normalised };
+}
+
+module.exports = { MAX_COPIES_PER_CARD, MAX_DECK_SIZE, validateDeckList };
@@ -0,0 +1,139 @@
+// server/game/dice.js
+// Dice notation, rolls and suit checks. Like shuffles, rolls draw from the
+// session RNG (see rng.js): they take the generator state and return the next one.
+const { GameError } = require('../errors');
+const { SUITS, suitModifier } = require('./combat');
+const { next } = require('./rng');
+
+const MAX_DICE = 20;
+const MAX_SIDES = 100;
+const MAX_MODIFIER = 100;
+const MAX_DIFFICULTY = 100;
+// Extra rolls one exploding die may make, so a d2 can't explode forever
+const MAX_EXPLOSIONS = 10;
+const MODES = ['normal', 'advantage', 'disadvantage'];
+const CHECK_DICE = '1d20';
+
+// <count>d<sides>, "!" to explode, then an optional +/- modifier
+const NOTATION = /^(\d*)d(\d+)(!?)([+-]\d+)?$/i;
+
+// Parses notation such as "2d6+3", "d20" or "3d6!-1". An exploding die that
+// shows its top face is rolled again and the new face added.
+function parseDice(notation) {
+    const match = typeof notation === 'string' && NOTATION.exec(notation.replace(/\s+/g, ''));
+    if (!match) {
+        throw new GameError('INVALID_DICE', 'Dice must look like 2d6+3 (add ! after the sides to explode).', { notation });
+    }
+    const count = match[1] ? Number(match[1]) : 1;
+    const sides = Number(match[2]);
+    const modifier = match[4] ? Number(match[4]) : 0;
+    if (count < 1 || count > MAX_DICE) {
+        throw new GameError('INVALID_DICE', `Roll 1-${MAX_DICE} dice at a time.`, { notation });
+    }
+    if (sides < 2 || sides > MAX_SIDES) {
+        throw new GameError('INVALID_DICE', `Dice must have 2-${MAX_SIDES} sides.`, { notation });
+    }
+    if (Math.abs(modifier) > MAX_MODIFIER) {
+        throw new GameError('INVALID_DICE', `The modifier must be within ±${MAX_MODIFIER}.`, { notation });
+    }
+    const explode = match[3] === '!';
+    const pool = `${count}d${sides}${explode ? '!' : ''}`;
+    return {
+        notation: `${pool}${modifier ? `${modifier > 0 ? '+' : ''}${modifier}` : ''}`,
+        pool,
+        count,
+        sides,
+        explode,
+        modifier
+    };
+}
+
+function assertMode(mode) {
+    if (!MODES.includes(mode)) {
+        throw new GameError('INVALID_MODE', `mode must be one of ${MODES.join(', ')}.`, { mode });
+    }
+}
+
+// A difficulty is a positive whole number; null means none
+function assertDifficulty(difficulty) {
+    if (difficulty !== null && (!Number.isInteger(difficulty) || difficulty < 1 || difficulty > MAX_DIFFICULTY)) {
+        throw new GameError('INVALID_DIFFICULTY', `difficulty must be 1-${MAX_DIFFICULTY}, or null for none.`, { difficulty });
+    }
+}
+
+// Every face one die showed: more than one when it exploded
+function rollDie(sides, explode, state) {
+    const faces = [];
+    let current = state;
+    do {
+        const roll = next(current);
+        current = roll.state;
+        faces.push(Math.floor(roll.value * sides) + 1);
+    } while (explode && faces[faces.length - 1] === sides && faces.length <= MAX_EXPLOSIONS);
+    return { faces, state: current };
+}
+
+function rollPool(dice, state) {
+    const rolls = [];
+    let current = state;
+    for (let i = 0; i < dice.count; i++) {
+        const die = rollDie(dice.sides, dice.explode, current);
+        current = die.state;
+        rolls.push(die.faces);
+    }
+    return { rolls, sum: rolls.flat().reduce((sum, face) => sum + face, 0), state: current };
+}
+
+// Rolls the dice (without the modifier). With advantage or disadvantage the whole
+// pool is rolled twice and the higher or lower sum kept. Returns
+// { mode, pools, kept, sum, state }: pools holds each pass's dice as lists of
+// faces, and kept is the index of the pass that counts.
+function rollDice(dice, mode, state) {
+    assertMode(mode);
+    const first = rollPool(dice, state);
+    if (mode === 'normal') {
+        return { mode, pools: [first.rolls], kept: 0, sum: first.sum, state: first.state };
+    }
+    const second = rollPool(dice, first.state);
+    const keepSecond = mode === 'advantage' ? second.sum > first.sum : second.sum < first.sum;
+    return {
+        mode,
+        pools: [first.rolls, second.rolls],
+        kept: keepSecond ? 1 : 0,
+        sum: keepSecond ? second.sum : first.sum,
+        state: second.state
+    };
+}
+
+// What the roller's active cards add to a check in `suit`, as breakdown entries
+function checkModifiers(cards, userId, suit) {
+    if (!SUITS.includes(suit)) {
+        throw new GameError('INVALID_SUIT', `suit must be one of ${SUITS.join(', ')}.`, { suit });
+    }
+    return cards
+        .filter(c => c.user_id === userId && c.is_active && suitModifier(c, suit))
+        .map(c => ({ label: `${c.card_name} ${suit}`, value: suitModifier(c, suit) }));
+}
+
+// Totals a roll with the notation's modifier and any `extra` breakdown entries.
+// success is null when there is no difficulty to beat; meeting it succeeds.
+function resolveRoll(dice, roll, extra = [], difficulty = null) {
+    const breakdown = [{ label: roll.mode === 'normal' ? dice.pool : `${dice.pool} (${roll.mode})`, value: roll.sum }];
+    if (dice.modifier) {
+        breakdown.push({ label: 'Modifier', value: dice.modifier });
+    }
+    breakdown.push(...extra);
+    const total = breakdown.reduce((sum, item) => sum + item.value, 0);
+    return { breakdown, total, difficulty, success: difficulty === null ? null : total >= difficulty };
+}
+
+module.exports = {
+    MODES,
+    CHECK_DICE,
+    parseDice,
+    assertMode,
+    assertDifficulty,
+    rollDice,
+    checkModifiers,
+    resolveRoll
+};
@@ -0,0 +1,89 @@
+// server/game/history.js
+// Session history as structured events. An event is one action (a move, a draw,
+// an attack...) with a change per card instance it touched:
+//   { playerCardId, before, after }
+// where before/after are card states (see cardState) or null when the card
+// didn't exist. Replaying the `after` of every event in order rebuilds the
+// session's cards; putting back the `before` undoes an event.
+const { GameError } = require('../errors');
+
+const EVENT_TYPES = [
+    'card_created',
+    'card_moved',
+    'card_played',
+    'card_edited',
+    'card_revealed',
+    'deck_loaded',
+    'deck_shuffled',
+    'cards_drawn',
+    'mulligan',
+    'attack',
+    'ability',
+    'effect_tick',
+    'undo'
+];
+
+const MAX_UNDO = 20;
+
+// The instance columns an event records. user_id and card_id never change, but
+// are kept so a card can be rebuilt (or recreated by an undo) from its state alone.
+function cardState(row) {
+    if (!row) return null;
+    return {
+        user_id: row.user_id,
+        card_id: row.card_id,
+        location: row.location,
+        slot_id: row.slot_id ?? null,
+        deck_position: row.deck_position ?? null,
+        is_active: row.is_active ? 1 : 0,
+        is_revealed: row.is_revealed ? 1 : 0,
+        damage: Number(row.damage) || 0
+    };
+}
+
+function sameState(a, b) {
+    if (!a || !b) return a === b;
+    return Object.keys(a).every(key => a[key] === b[key]);
+}
+
+// Changes between two lists of a session's card rows, in player_card_id order
+function diffCards(beforeRows, afterRows) {
+    const before = new Map(beforeRows.map(row => [row.player_card_id, cardState(row)]));
+    const after = new Map(afterRows.map(row => [row.player_card_id, cardState(row)]));
+    const ids = [...new Set([...before.keys(), ...after.keys()])].sort((a, b) => a - b);
+    return ids
+        .map(playerCardId => ({ playerCardId, before: before.get(playerCardId) ?? null, after: after.get(playerCardId) ?? null }))
+        .filter(change => !sameState(change.before, change.after));
+}
+
+// Card states (playerCardId -> state) after every event up to and including
+// `toSeq`; all events when toSeq is omitted. `events` must be in seq order.
+function rebuildCards(events, toSeq = Infinity) {
+    const cards = new Map();
+    for (const event of events) {
+        if (event.seq > toSeq) break;
+        for (const { playerCardId, after } of event.changes) {
+            if (after) cards.set(playerCardId, after);
+            else cards.delete(playerCardId);
+        }
+    }
+    return cards;
+}
+
+// The latest `count` events an undo would revert, newest first. Undos themselves
+// and events already reverted are skipped, so repeated undos walk further back.
+function undoTargets(events, count) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_UNDO) {
+        throw new GameError('INVALID_COUNT', `count must be 1-${MAX_UNDO}.`, { count });
+    }
+    const targets = events
+        .filter(event => event.event_type !== 'undo' && event.reverted_by_seq === null)
+        .slice(-count)
+        .reverse();
+    if (targets.length === 0) {
+        throw new GameError('NOTHING_TO_UNDO', 'There is nothing to undo.');
+    }
+    return targets;
+}
+
+module.exports = { EVENT_TYPES, MAX_UNDO, cardState, sameState, diffCards, rebuildCards, undoTargets };
@@ -0,0 +1,103 @@
+// server/game/lobby.js
+// Session settings and lifecycle. A session is created in the lobby, moves to
+// in_progress when the GM starts turns, and ends up finished; nothing moves back.
+const { GameError } = require('../errors');
+
+const STATUSES = ['lobby', 'in_progress', 'finished'];
+const STATUS_TRANSITIONS = {
+    lobby: ['in_progress', 'finished'],
+    in_progress: ['finished'],
+    finished: []
+};
+
+const MAX_SESSION_NAME_LENGTH = 64;
+const MAX_PLAYERS_LIMIT = 8;
+
+// Ruleset options a GM may set when creating a session, with their defaults
+const RULESET_DEFAULTS = {
+    allowSpectators: true,
+    allowMulligan: true
+};
+
+// Events still accepted once a session is finished, so members can look back at it
+const FINISHED_EVENTS = ['client:joinGame', 'client:resumeSession', 'client:archiveSession', 'client:getHistory', 'client:replayTo'];
+
+// Checks { sessionName, maxPlayers, password, ruleset } and returns them
+// normalised, with the ruleset defaults filled in
+function validateSessionSettings({ sessionName, maxPlayers = null, password = null, ruleset = {} } = {}) {
+    if (typeof sessionName !== 'string' || !sessionName.trim() || sessionName.trim().length > MAX_SESSION_NAME_LENGTH) {
+        throw new GameError('INVALID_SESSION', `Session name must be 1-${MAX_SESSION_NAME_LENGTH} characters.`, { field: 'sessionName' });
+    }
+    if (maxPlayers !== null && (!Number.isInteger(maxPlayers) || maxPlayers < 1 || maxPlayers > MAX_PLAYERS_LIMIT)) {
+        throw new GameError('INVALID_SESSION', `maxPlayers must be 1-${MAX_PLAYERS_LIMIT}.`, { field: 'maxPlayers' });
+    }
+    if (password !== null && (typeof password !== 'string' || !password)) {
+        throw new GameError('INVALID_SESSION', 'password must be a non-empty string.', { field: 'password' });
+    }
+    if (!ruleset || typeof ruleset !== 'object' || Array.isArray(ruleset)) {
+        throw new GameError('INVALID_SESSION', 'ruleset must be an object.', { field: 'ruleset' });
+    }
+    for (const [option, value] of Object.entries(ruleset)) {
+        if (!(option in RULESET_DEFAULTS)) {
+            throw new GameError('INVALID_SESSION', `Unknown ruleset option "${option}".`, { field: `ruleset.${option}` });
+        }
+        if (typeof value !== typeof RULESET_DEFAULTS[option]) {
+            throw new GameError('INVALID_SESSION', `ruleset.${option} must be a ${typeof RULESET_DEFAULTS[option]}.`, { field: `ruleset.${option}` });
+        }
+    }
+    return { sessionName: sessionName.trim(), maxPlayers, password, ruleset: { ...RULESET_DEFAULTS, ...ruleset } };
+}
+
+// Stored rulesets may predate an option; missing ones take the default
+function rulesetOf(session) {
+    const stored = typeof session.ruleset === 'string' ? JSON.parse(session.ruleset) : session.ruleset;
+    return { ...RULESET_DEFAULTS, ...(stored || {}) };
+}
+
+function assertTransition(session, status) {
+    if (!STATUS_TRANSITIONS[session.status]?.includes(status)) {
+        throw new GameError('INVALID_SESSION_STATE', `A ${session.status} session cannot become ${status}.`, { status: session.status, to: status });
+    }
+}
+
+function assertSessionOpen(session, event) {
+    if (session.status === 'finished' && !FINISHED_EVENTS.includes(event)) {
+        throw new GameError('SESSION_FINISHED', 'This session has finished.', { sessionId: session.session_id });
+    }
+}
+
+// Checks a newcomer may take a seat. playerCount counts members who take part
+// (not spectators); passwordOk is whether they gave the right password, if one is set.
+function assertCanJoin(session, { playerCount, spectate, passwordOk }) {
+    if (session.archived_at) {
+        throw new GameError('SESSION_ARCHIVED', 'This session has been archived.');
+    }
+    if (session.status === 'finished') {
+        throw new GameError('SESSION_FINISHED', 'This session has finished.');
+    }
+    if (session.password_hash && !passwordOk) {
+        throw new GameError('SESSION_LOCKED', 'This session needs a password.');
+    }
+    if (spectate) {
+        if (!rulesetOf(session).allowSpectators) {
+            throw new GameError('SPECTATORS_NOT_ALLOWED', 'This session does not allow spectators.');
+        }
+        return;
+    }
+    if (session.status === 'in_progress') {
+        throw new GameError('SESSION_IN_PROGRESS', 'This game has already started; you can join as a spectator.');
+    }
+    if (session.max_players && playerCount >= session.max_players) {
+        throw new GameError('SESSION_FULL', `This session is full (${session.max_players} players).`, { maxPlayers: session.max_players });
+    }
+}
+
+module.exports = {
+    STATUSES,
+    RULESET_DEFAULTS,
+    validateSessionSettings,
+    rulesetOf,
+    assertTransition,
+    assertSessionOpen,
+    assertCanJoin
+};
@@ -0,0 +1,43 @@
+// server/game/rng.js
+// Deterministic per-session RNG. A session stores its seed plus the current
+// 32-bit generator state, so replaying the same actions from the same seed
+// reproduces every shuffle.
+const crypto = require('crypto');
+
+function createSeed() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+// FNV-1a hash of the seed string, used as the generator's starting state
+function seedToState(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: returns a float in [0, 1) and the state to use next time
+function next(state) {
+    const nextState = (state + 0x6d2b79f5) >>> 0;
+    let t = nextState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, state: nextState };
+}
+
+// Fisher-Yates over a copy of `items`
+function shuffle(items, state) {
+    const result = [...items];
+    let current = state;
+    for (let i = result.length - 1; i > 0; i--) {
+        const roll = next(current);
+        current = roll.state;
+        const j = Math.floor(roll.value * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return { items: result, state: current };
+}
+
+module.exports = { createSeed, seedToState, next, shuffle };
@@ -0,0 +1,71 @@
+// server/game/roles.js
+// Who may do what in a session, and who may see which cards. The GM is whoever
+// game_sessions.gm_user_id names; everyone else has the role stored on their
+// player_sessions row.
+const { GameError } = require('../errors');
+const { ZONES } = require('./zones');
+
+const ROLES = ['gm', 'player', 'spectator'];
+// Stored on player_sessions for members the GM removed; they can't rejoin
+const KICKED = 'kicked';
+
+const EVERYONE = ROLES;
+const PLAYERS = ['gm', 'player'];
+const GM_ONLY = ['gm'];
+
+// Roles allowed to send each client event. Events missing here are refused.
+const EVENT_ROLES = {
+    'client:joinGame': EVERYONE,
+    'client:resumeSession': EVERYONE,
+    'client:getHistory': EVERYONE,
+    'client:replayTo': EVERYONE,
+    'client:createCard': PLAYERS,
+    'client:moveCard': PLAYERS,
+    'client:playCardAction': PLAYERS,
+    'client:attack': PLAYERS,
+    'client:useAbility': PLAYERS,
+    'client:shuffle': PLAYERS,
+    'client:draw': PLAYERS,
+    'client:mulligan': PLAYERS,
+    'client:advancePhase': PLAYERS,
+    'client:rollDice': PLAYERS,
+    'client:rollCheck': PLAYERS,
+    'client:startTurns': GM_ONLY,
+    'client:reorderTurns': GM_ONLY,
+    'client:kickPlayer': GM_ONLY,
+    'client:editCard': GM_ONLY,
+    'client:revealCard': GM_ONLY,
+    'client:transferGm': GM_ONLY,
+    'client:closeSession': GM_ONLY,
+    'client:archiveSession': GM_ONLY,
+    'client:undo': GM_ONLY,
+    'client:setDifficulty': GM_ONLY
+};
+
+function roleOf(session, member) {
+    if (session.gm_user_id === member.user_id) return 'gm';
+    return member.role;
+}
+
+function assertRoleAllows(role, event) {
+    if (role === KICKED) {
+        throw new GameError('KICKED', 'You were removed from this session.');
+    }
+    if (!EVENT_ROLES[event]?.includes(role)) {
+        throw new GameError('FORBIDDEN', `A ${role} cannot do that.`, { role, event });
+    }
+}
+
+// Members who take turns: spectators watch and kicked members are gone
+function takesTurns(session, member) {
+    return ['player', 'gm'].includes(roleOf(session, member));
+}
+
+// viewer is { userId, role }. Cards in face-down zones are only shown to their
+// owner and the GM, unless the GM has revealed them.
+function canSeeCard(viewer, card) {
+    if (viewer.role === 'gm' || card.user_id === viewer.userId) return true;
+    return !ZONES[card.location]?.faceDown || Boolean(card.is_revealed);
+}
+
+module.exports = { ROLES, KICKED, EVENT_ROLES, roleOf, assertRoleAllows, takesTurns, canSeeCard };
@@ -0,0 +1,126 @@
+// server/game/turns.js
+// Turn and phase engine. Works on plain turn state objects
+// ({ round, turnIndex, phase, order }) so handlers decide when to load and save.
+const { GameError } = require('../errors');
+
+const PHASES = ['draw', 'main', 'combat', 'end'];
+
+// Which phases of the acting player's own turn each action may be taken in
+const ACTION_PHASES = {
+    'client:moveCard': ['main'],
+    'client:playCardAction': ['main', 'combat'],
+    'client:attack': ['combat'],
+    'client:useAbility': ['combat'],
+    'client:shuffle': ['draw', 'main'],
+    'client:draw': ['draw']
+};
+
+function isStarted(turn) {
+    return turn.phase !== null;
+}
+
+function activeUserId(turn) {
+    return isStarted(turn) ? turn.order[turn.turnIndex] : null;
+}
+
+function startTurns(turn, order) {
+    if (isStarted(turn)) {
+        throw new GameError('TURNS_ALREADY_STARTED', 'Turns have already started in this session.');
+    }
+    if (order.length === 0) {
+        throw new GameError('NO_PLAYERS', 'There are no players to take turns.');
+    }
+    return { round: 1, turnIndex: 0, phase: PHASES[0], order: [...order] };
+}
+
+// Moves to the next phase, rolling over to the next player's turn (and the next
+// round after the last player) once the end phase is done.
+function advancePhase(turn) {
+    if (!isStarted(turn)) {
+        throw new GameError('TURNS_NOT_STARTED', 'Turns have not started in this session.');
+    }
+    const phaseIndex = PHASES.indexOf(turn.phase);
+    if (phaseIndex < PHASES.length - 1) {
+        return { turn: { ...turn, phase: PHASES[phaseIndex + 1] }, turnChanged: false };
+    }
+
+    const nextIndex = (turn.turnIndex + 1) % turn.order.length;
+    const round = nextIndex === 0 ? turn.round + 1 : turn.round;
+    return { turn: { ...turn, round, turnIndex: nextIndex, phase: PHASES[0] }, turnChanged: true };
+}
+
+// `order` must be a permutation of the session's members. The acting player keeps
+// their turn and phase; only the position of everyone else changes.
+function reorderTurns(turn, order, memberIds) {
+    if (!Array.isArray(order)) {
+        throw new GameError('INVALID_TURN_ORDER', 'Turn order must be a list of user ids.', { order });
+    }
+    const unique = new Set(order);
+    const members = new Set(memberIds);
+    if (unique.size !== order.length || order.length !== members.size || !order.every(id => members.has(id))) {
+        throw new GameError('INVALID_TURN_ORDER', 'Turn order must list every player in the session exactly once.', { order });
+    }
+    if (!isStarted(turn)) {
+        return { ...turn, order: [...order] };
+    }
+    return { ...turn, order: [...order], turnIndex: order.indexOf(activeUserId(turn)) };
+}
+
+// Drops a player who left the table. If it was their turn, the next player in
+// line starts theirs from the first phase.
+function removeFromTurns(turn, userId) {
+    const index = turn.order.indexOf(userId);
+    if (index === -1) return { turn, turnChanged: false };
+    const order = turn.order.filter(id => id !== userId);
+    if (!isStarted(turn)) {
+        return { turn: { ...turn, order }, turnChanged: false };
+    }
+    if (order.length === 0) {
+        return { turn: { round: 0, turnIndex: 0, phase: null, order }, turnChanged: true };
+    }
+    if (index !== turn.turnIndex) {
+        return { turn: { ...turn, order, turnIndex: index < turn.turnIndex ? turn.turnIndex - 1 : turn.turnIndex }, turnChanged: false };
+    }
+    const wrapped = index >= order.length;
+    return {
+        turn: { ...turn, order, turnIndex: wrapped ? 0 : index, round: wrapped ? turn.round + 1 : turn.round, phase: PHASES[0] },
+        turnChanged: true
+    };
+}
+
+// Before turns start the table is in free setup and anything goes. After that,
+// actions must come from the acting player in a phase that allows them.
+function assertCanAct(turn, userId, event) {
+    if (!isStarted(turn)) return;
+    if (activeUserId(turn) !== userId) {
+        throw new GameError('NOT_YOUR_TURN', 'It is not your turn.', { activeUserId: activeUserId(turn) });
+    }
+    const allowed = ACTION_PHASES[event];
+    if (allowed && !allowed.includes(turn.phase)) {
+        throw new GameError('WRONG_PHASE', `That action is only allowed in the ${allowed.join(' or ')} phase.`, { phase: turn.phase, allowedPhases: allowed });
+    }
+}
+
+// Shape sent to clients in server:gameState, server:turnChanged and server:phaseChanged
+function toPublicTurn(sessionId, turn) {
+    return {
+        sessionId,
+        round: turn.round,
+        phase: turn.phase,
+        activeUserId: activeUserId(turn),
+        turnOrder: turn.order
+    };
+}
+
+module.exports = {
+    PHASES,
+    ACTION_PHASES,
+    isStarted,
+    activeUserId,
+    startTurns,
+    advancePhase,
+    reorderTurns,
+    removeFromTurns,
+    assertCanAct,
+    toPublicTurn
+};
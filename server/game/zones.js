@@ -0,0 +1,74 @@
+// server/game/zones.js
+// Declarative zone model. Every player_cards row sits in one of these zones,
+// and client:moveCard / client:playCardAction are checked against it.
+const { GameError } = require('../errors');
+
+const CARD_TYPES = ['Hero', 'Weapon', 'Ability', 'Effect'];
+
+// capacity: max cards a player may hold in the zone (null = unlimited)
+// slots:    number of numbered slots (1..slots) for board zones, each holding one card
+// active:   whether a card in this zone counts as in play
+// faceDown: whether other players only see a placeholder for cards in this zone
+const ZONES = {
+    CreatedCardStorage: { capacity: null, cardTypes: CARD_TYPES, active: false, faceDown: true },
+    Deck: { capacity: null, cardTypes: ['Weapon', 'Ability', 'Effect'], active: false, faceDown: true },
+    Hand: { capacity: 7, cardTypes: ['Weapon', 'Ability', 'Effect'], active: false, faceDown: true },
+    Board: { slots: 6, cardTypes: CARD_TYPES, active: true },
+    DiscardPile: { capacity: null, cardTypes: CARD_TYPES, active: false }
+};
+
+// Legal zone-to-zone moves, keyed by the zone the card is leaving. Cards only
+// leave the Deck through client:draw, so the draw order can't be bypassed.
+const TRANSITIONS = {
+    CreatedCardStorage: ['Deck', 'Hand', 'Board'],
+    Deck: [],
+    Hand: ['Board', 'Deck', 'DiscardPile'],
+    Board: ['Board', 'Hand', 'DiscardPile'],
+    DiscardPile: ['Deck']
+};
+
+function isSlotZone(zone) {
+    return Boolean(ZONES[zone]?.slots);
+}
+
+// Checks moving `card` (a player_cards row joined with its cards row) to
+// `destination`/`slotId`, given every card its owner has in the session.
+// Returns the placement to store, or throws a GameError.
+function resolveMove(card, destination, slotId, ownerCards) {
+    const zone = ZONES[destination];
+    if (!zone) {
+        throw new GameError('UNKNOWN_ZONE', `Unknown zone "${destination}".`, { destination });
+    }
+    if (!TRANSITIONS[card.location]?.includes(destination)) {
+        throw new GameError('ILLEGAL_TRANSITION', `Cards cannot move from ${card.location} to ${destination}.`, { from: card.location, to: destination });
+    }
+    if (!zone.cardTypes.includes(card.card_type)) {
+        throw new GameError('CARD_TYPE_NOT_ALLOWED', `${card.card_type} cards cannot be placed in ${destination}.`, { cardType: card.card_type, destination });
+    }
+
+    const others = ownerCards.filter(c => c.player_card_id !== card.player_card_id && c.location === destination);
+
+    if (isSlotZone(destination)) {
+        const slot = Number(slotId);
+        if (slotId === null || slotId === undefined || !Number.isInteger(slot) || slot < 1 || slot > zone.slots) {
+            throw new GameError('INVALID_SLOT', `${destination} slots are numbered 1 to ${zone.slots}.`, { destination, slotId });
+        }
+        if (card.location === destination && Number(card.slot_id) === slot) {
+            throw new GameError('ILLEGAL_TRANSITION', 'Card is already in that slot.', { from: card.location, to: destination, slotId: slot });
+        }
+        if (others.some(c => Number(c.slot_id) === slot)) {
+            throw new GameError('SLOT_OCCUPIED', `${destination} slot ${slot} is already occupied.`, { destination, slotId: slot });
+        }
+        return { location: destination, slotId: slot, isActive: zone.active };
+    }
+
+    if (slotId !== null && slotId !== undefined) {
+        throw new GameError('SLOT_NOT_ALLOWED', `${destination} has no slots.`, { destination, slotId });
+    }
+    if (zone.capacity !== null && others.length >= zone.capacity) {
+        throw new GameError('ZONE_FULL', `${destination} is full (${zone.capacity} cards).`, { destination, capacity: zone.capacity });
+    }
+    return { location: destination, slotId: null, isActive: zone.active };
+}
+
+module.exports = { CARD_TYPES, ZONES, TRANSITIONS, isSlotZone, resolveMove };
@@ -0,0 +1,50 @@
+// server/logger.js
+// Leveled, structured logging: one JSON object per line, carrying whatever
+// context (socketId, userId, sessionId...) the caller bound with child().
+// LOG_LEVEL sets the lowest level written (default info). Errors passed as a
+// field are written as { name, message, code, stack }.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(err) {
+    return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+function serialize(entry) {
+    try {
+        return JSON.stringify(entry, (key, value) => {
+            if (value instanceof Error) return serializeError(value);
+            if (typeof value === 'bigint') return value.toString();
+            return value;
+        });
+    } catch (err) {
+        // Circular fields and the like: keep the line, drop the fields
+        return JSON.stringify({ time: entry.time, level: entry.level, message: entry.message, logError: err.message });
+    }
+}
+
+// `write` gets each finished line; warnings and errors go to stderr by default
+function createLogger(context = {}, { level = process.env.LOG_LEVEL || 'info', write } = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+    const output = write || ((line, entryLevel) => (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+
+    function log(entryLevel, message, fields = {}) {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: entryLevel, message, ...context, ...fields };
+        output(serialize(entry), entryLevel);
+    }
+
+    return {
+        debug: (message, fields) => log('debug', message, fields),
+        info: (message, fields) => log('info', message, fields),
+        warn: (message, fields) => log('warn', message, fields),
+        error: (message, fields) => log('error', message, fields),
+        // A logger that adds `fields` to every entry
+        child: fields => createLogger({ ...context, ...fields }, { level, write: output })
+    };
+}
+
+// The server's root logger
+const logger = createLogger();
+
+module.exports = { LEVELS, createLogger, logger };
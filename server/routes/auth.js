@@ -0,0 +1,60 @@
+// server/routes/auth.js
+const express = require('express');
+const { hashPassword, verifyPassword } = require('../auth/passwords');
+const { issueToken } = require('../auth/tokens');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function toPublicUser(user) {
+    return { userId: user.user_id, username: user.username };
+}
+
+function createAuthRouter(storage) {
+    const router = express.Router();
+
+    router.post('/register', async (req, res) => {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ error: 'Username must be 3-32 letters, digits, underscores or dashes.' });
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
+
+        try {
+            if (await storage.users.findByUsername(username)) {
+                return res.status(409).json({ error: 'Username is already taken.' });
+            }
+            const passwordHash = await hashPassword(password);
+            const user = await storage.users.create({ username, passwordHash });
+            res.status(201).json({ token: issueToken(user), user: toPublicUser(user) });
+        } catch (err) {
+            req.log.error('Error registering user', { username, err });
+            res.status(500).json({ error: 'Failed to register. See server logs for details.' });
+        }
+    });
+
+    router.post('/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Username and password are required.' });
+        }
+
+        try {
+            const user = await storage.users.findByUsername(username);
+            // Same answer for unknown users and wrong passwords
+            if (!user || !(await verifyPassword(password, user.password_hash))) {
+                return res.status(401).json({ error: 'Invalid username or password.' });
+            }
+            res.json({ token: issueToken(user), user: toPublicUser(user) });
+        } catch (err) {
+            req.log.error('Error logging in user', { username, err });
+            res.status(500).json({ error: 'Failed to log in. See server logs for details.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
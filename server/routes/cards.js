@@ -0,0 +1,176 @@
+// server/routes/cards.js
+// The card library: reusable definitions that sessions instantiate into player_cards.
+const express = require('express');
+const { GameError } = require('../errors');
+const { requireAuth } = require('../auth/httpAuth');
+const { IN_PLAY_FIELDS, validateCard, toCardPayload } = require('../game/cardSchema');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque to clients; internally they're the last card_id of the page
+function encodeCursor(cardId) {
+    return Buffer.from(String(cardId)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const id = Number(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(id) && id >= 0 ? id : null;
+}
+
+function parseOptionalInt(value) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    return Number.isInteger(number) ? number : NaN;
+}
+
+// A repeated parameter (?type=a&type=b) arrives as an array; filters take one value each
+const QUERY_PARAMS = ['type', 'heroClass', 'heroRole', 'minPower', 'maxPower', 'q', 'limit', 'cursor'];
+
+function findRepeatedParam(query) {
+    return QUERY_PARAMS.find(param => query[param] !== undefined && typeof query[param] !== 'string');
+}
+
+function createCardsRouter(storage) {
+    const router = express.Router();
+    router.use(requireAuth(storage));
+
+    // Loads a live definition for :id, answering 404 itself when there isn't one
+    async function loadCard(req, res) {
+        const card = await storage.cards.findById(req.params.id);
+        if (!card || card.deleted_at) {
+            res.status(404).json({ error: 'Card not found.' });
+            return null;
+        }
+        return card;
+    }
+
+    // Validation failures list every offending field in details.errors
+    function rejectCard(res, err, status = 400) {
+        res.status(status).json({ error: err.message, code: err.code, details: err.details });
+    }
+
+    // Seeded cards have no author and can't be changed through the API
+    function assertAuthor(req, res, card) {
+        if (card.author_user_id !== req.user.userId) {
+            res.status(403).json({ error: 'Only the card\'s author can change it.' });
+            return false;
+        }
+        return true;
+    }
+
+    // GET /api/cards?type=&heroClass=&heroRole=&minPower=&maxPower=&q=&limit=&cursor=
+    router.get('/', async (req, res) => {
+        const repeated = findRepeatedParam(req.query);
+        if (repeated) {
+            return res.status(400).json({ error: `${repeated} must be given once.` });
+        }
+        const { type, heroClass, heroRole, q, cursor } = req.query;
+        const minPower = parseOptionalInt(req.query.minPower);
+        const maxPower = parseOptionalInt(req.query.maxPower);
+        const limit = parseOptionalInt(req.query.limit) ?? DEFAULT_PAGE_SIZE;
+        const afterId = cursor ? decodeCursor(cursor) : 0;
+
+        if (Number.isNaN(minPower) || Number.isNaN(maxPower)) {
+            return res.status(400).json({ error: 'minPower and maxPower must be integers.' });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return res.status(400).json({ error: `limit must be 1-${MAX_PAGE_SIZE}.` });
+        }
+        if (afterId === null) {
+            return res.status(400).json({ error: 'Invalid cursor.' });
+        }
+
+        try {
+            // One extra row tells us whether there's another page
+            const rows = await storage.cards.search({ type, heroClass, heroRole, minPower, maxPower, query: q, afterId, limit: limit + 1 });
+            const page = rows.slice(0, limit);
+            res.json({
+                cards: page.map(toCardPayload),
+                nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1].card_id) : null
+            });
+        } catch (err) {
+            req.log.error('Error listing cards', { err });
+            res.status(500).json({ error: 'Failed to list cards. See server logs for details.' });
+        }
+    });
+
+    router.post('/', async (req, res) => {
+        try {
+            const card = await storage.cards.create(validateCard(req.body), req.user.userId);
+            res.status(201).json({ card: toCardPayload(card) });
+        } catch (err) {
+            if (err instanceof GameError) return rejectCard(res, err);
+            req.log.error('Error creating card', { err });
+            res.status(500).json({ error: 'Failed to create card. See server logs for details.' });
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const card = await loadCard(req, res);
+            if (card) res.json({ card: toCardPayload(card) });
+        } catch (err) {
+            req.log.error('Error loading card', { cardId: req.params.id, err });
+            res.status(500).json({ error: 'Failed to load card. See server logs for details.' });
+        }
+    });
+
+    router.get('/:id/versions', async (req, res) => {
+        try {
+            const card = await loadCard(req, res);
+            if (!card) return;
+            const versions = await storage.cards.listVersions(card.card_id);
+            res.json({ currentVersion: card.version, versions: versions.map(v => ({ ...v, snapshot: toCardPayload(v.snapshot) })) });
+        } catch (err) {
+            req.log.error('Error loading card versions', { cardId: req.params.id, err });
+            res.status(500).json({ error: 'Failed to load card versions. See server logs for details.' });
+        }
+    });
+
+    // Saves the body's fields as a new version of the definition. Once the card
+    // has instances in sessions only the IN_PLAY_FIELDS may change; the rest
+    // answer 409, since those instances play by the live definition.
+    router.put('/:id', async (req, res) => {
+        try {
+            const card = await loadCard(req, res);
+            if (!card || !assertAuthor(req, res, card)) return;
+            const fields = validateCard(req.body, card);
+            if (Object.keys(fields).length === 0) {
+                return res.status(400).json({ error: 'No card fields to update.' });
+            }
+            // The row stays locked until the new version is saved, so concurrent
+            // edits line up instead of racing for the same version number
+            const updated = await storage.transaction(async tx => {
+                const current = await tx.cards.lock(card.card_id);
+                const lockedFields = Object.keys(fields).filter(field => !IN_PLAY_FIELDS.includes(field) && fields[field] !== (current[field] ?? null));
+                if (lockedFields.length > 0 && await tx.playerCards.countByCard(card.card_id) > 0) {
+                    throw new GameError('CARD_IN_USE', `Cards in play can only have ${IN_PLAY_FIELDS.join(', ')} changed.`, { fields: lockedFields });
+                }
+                return tx.cards.update(card.card_id, fields, req.user.userId);
+            });
+            res.json({ card: toCardPayload(updated) });
+        } catch (err) {
+            if (err instanceof GameError) return rejectCard(res, err, err.code === 'CARD_IN_USE' ? 409 : 400);
+            req.log.error('Error updating card', { cardId: req.params.id, err });
+            res.status(500).json({ error: 'Failed to update card. See server logs for details.' });
+        }
+    });
+
+    // Retires the definition from the library; cards already in sessions are unaffected
+    router.delete('/:id', async (req, res) => {
+        try {
+            const card = await loadCard(req, res);
+            if (!card || !assertAuthor(req, res, card)) return;
+            await storage.cards.softDelete(card.card_id);
+            res.status(204).end();
+        } catch (err) {
+            req.log.error('Error deleting card', { cardId: req.params.id, err });
+            res.status(500).json({ error: 'Failed to delete card. See server logs for details.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCardsRouter };
@@ -0,0 +1,113 @@
+// server/routes/decks.js
+const express = require('express');
+const { GameError } = require('../errors');
+const { requireAuth } = require('../auth/httpAuth');
+const { validateDeckList } = require('../game/decks');
+
+function toPublicDeck(deck) {
+    return {
+        deckId: deck.deck_id,
+        deckName: deck.deck_name,
+        cards: deck.cards?.map(c => ({ cardId: c.card_id, quantity: c.quantity })),
+        cardCount: deck.card_count,
+        updatedAt: deck.updated_at
+    };
+}
+
+// Validates the body and checks every listed card exists
+async function readDeckList(storage, body) {
+    const deckList = validateDeckList(body);
+    for (const { cardId } of deckList.cards) {
+        const card = await storage.cards.findById(cardId);
+        if (!card || card.deleted_at) {
+            throw new GameError('INVALID_DECK', `Card ${cardId} does not exist.`, { field: 'cards', cardId });
+        }
+    }
+    return deckList;
+}
+
+function createDecksRouter(storage) {
+    const router = express.Router();
+    router.use(requireAuth(storage));
+
+    // Loads :id and checks it belongs to the caller; 404 either way so ids don't leak
+    async function loadOwnDeck(req, res) {
+        const deck = await storage.decks.findById(req.params.id);
+        if (!deck || deck.user_id !== req.user.userId) {
+            res.status(404).json({ error: 'Deck not found.' });
+            return null;
+        }
+        return deck;
+    }
+
+    function handleError(req, res, err, action) {
+        if (err instanceof GameError) {
+            return res.status(400).json({ error: err.message, code: err.code, details: err.details });
+        }
+        req.log.error(`Error trying to ${action}`, { err });
+        res.status(500).json({ error: `Failed to ${action}. See server logs for details.` });
+    }
+
+    router.get('/', async (req, res) => {
+        try {
+            const decks = await storage.decks.listByUser(req.user.userId);
+            res.json({ decks: decks.map(toPublicDeck) });
+        } catch (err) {
+            handleError(req, res, err, 'list decks');
+        }
+    });
+
+    router.post('/', async (req, res) => {
+        try {
+            const deckList = await readDeckList(storage, req.body);
+            const existing = await storage.decks.listByUser(req.user.userId);
+            if (existing.some(d => d.deck_name === deckList.deckName)) {
+                return res.status(409).json({ error: 'You already have a deck with that name.' });
+            }
+            const deck = await storage.decks.create({ userId: req.user.userId, ...deckList });
+            res.status(201).json({ deck: toPublicDeck(deck) });
+        } catch (err) {
+            handleError(req, res, err, 'create deck');
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const deck = await loadOwnDeck(req, res);
+            if (deck) res.json({ deck: toPublicDeck(deck) });
+        } catch (err) {
+            handleError(req, res, err, 'load deck');
+        }
+    });
+
+    router.put('/:id', async (req, res) => {
+        try {
+            const deck = await loadOwnDeck(req, res);
+            if (!deck) return;
+            const deckList = await readDeckList(storage, req.body);
+            const existing = await storage.decks.listByUser(req.user.userId);
+            if (existing.some(d => d.deck_name === deckList.deckName && d.deck_id !== deck.deck_id)) {
+                return res.status(409).json({ error: 'You already have a deck with that name.' });
+            }
+            const updated = await storage.decks.update(deck.deck_id, deckList);
+            res.json({ deck: toPublicDeck(updated) });
+        } catch (err) {
+            handleError(req, res, err, 'update deck');
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const deck = await loadOwnDeck(req, res);
+            if (!deck) return;
+            await storage.decks.delete(deck.deck_id);
+            res.status(204).end();
+        } catch (err) {
+            handleError(req, res, err, 'delete deck');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createDecksRouter };
@@ -0,0 +1,52 @@
+// server/routes/health.js
+// Probes for whatever runs the server. /healthz answers 503 when storage can't
+// be reached; /readyz also does once shutdown has begun, so no new clients are
+// sent here while the sockets drain.
+const express = require('express');
+
+// A pool that can't get a connection can hang for a long time; probes shouldn't
+const PING_TIMEOUT_MS = 2000;
+
+async function checkStorage(storage, log) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Storage ping timed out after ${PING_TIMEOUT_MS}ms`)), PING_TIMEOUT_MS);
+    });
+    try {
+        await Promise.race([storage.ping(), timeout]);
+        return 'ok';
+    } catch (err) {
+        log.warn('Storage ping failed', { err });
+        return 'unreachable';
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// isShuttingDown() tells the router when the server has started to close
+function createHealthRouter(storage, { isShuttingDown }) {
+    const router = express.Router();
+
+    router.get('/healthz', async (req, res) => {
+        const storageStatus = await checkStorage(storage, req.log);
+        res.status(storageStatus === 'ok' ? 200 : 503).json({
+            status: storageStatus === 'ok' ? 'ok' : 'unavailable',
+            storage: storageStatus
+        });
+    });
+
+    router.get('/readyz', async (req, res) => {
+        if (isShuttingDown()) {
+            return res.status(503).json({ status: 'shutting_down' });
+        }
+        const storageStatus = await checkStorage(storage, req.log);
+        res.status(storageStatus === 'ok' ? 200 : 503).json({
+            status: storageStatus === 'ok' ? 'ready' : 'unavailable',
+            storage: storageStatus
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
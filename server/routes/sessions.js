@@ -0,0 +1,105 @@
+// server/routes/sessions.js
+// Browsing, creating and ending game sessions. The same operations are offered
+// to connected clients as lobby socket events (socket/lobbyHandlers.js).
+const express = require('express');
+const { GameError } = require('../errors');
+const { requireAuth } = require('../auth/httpAuth');
+const { STATUSES } = require('../game/lobby');
+const { toSessionSummary, listSessions, createSession, setSessionStatus, archiveSession } = require('../services/sessionLobby');
+
+// GameError codes that map to something other than 400
+const ERROR_STATUS = {
+    SESSION_NAME_TAKEN: 409,
+    INVALID_SESSION_STATE: 409
+};
+
+function createSessionsRouter(storage, hub) {
+    const router = express.Router();
+    router.use(requireAuth(storage));
+
+    // Loads :id, answering 404 itself when there isn't one
+    async function loadSession(req, res) {
+        const session = await storage.sessions.findById(req.params.id);
+        if (!session) {
+            res.status(404).json({ error: 'Session not found.' });
+            return null;
+        }
+        return session;
+    }
+
+    function assertGm(req, res, session) {
+        if (session.gm_user_id !== req.user.userId) {
+            res.status(403).json({ error: 'Only the session\'s GM can do that.' });
+            return false;
+        }
+        return true;
+    }
+
+    function handleError(req, res, err, action) {
+        if (err instanceof GameError) {
+            return res.status(ERROR_STATUS[err.code] || 400).json({ error: err.message, code: err.code, details: err.details });
+        }
+        req.log.error(`Error trying to ${action}`, { err });
+        res.status(500).json({ error: `Failed to ${action}. See server logs for details.` });
+    }
+
+    // ?status=lobby|in_progress|finished narrows the list (default: lobby and in_progress);
+    // ?includeArchived=true also lists archived ones
+    router.get('/', async (req, res) => {
+        try {
+            const { status, includeArchived } = req.query;
+            if (status !== undefined && !STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}.` });
+            }
+            const sessions = await listSessions(storage, { status, includeArchived: includeArchived === 'true' });
+            res.json({ sessions });
+        } catch (err) {
+            handleError(req, res, err, 'list sessions');
+        }
+    });
+
+    // Body: { sessionName, maxPlayers?, password?, ruleset? }. The caller becomes the GM.
+    router.post('/', async (req, res) => {
+        try {
+            const session = await createSession(storage, hub, req.user, req.body);
+            res.status(201).json({ session });
+        } catch (err) {
+            handleError(req, res, err, 'create session');
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const session = await loadSession(req, res);
+            if (session) res.json({ session: await toSessionSummary(storage, session) });
+        } catch (err) {
+            handleError(req, res, err, 'load session');
+        }
+    });
+
+    // Ends the game; the session stays readable until archived
+    router.post('/:id/close', async (req, res) => {
+        try {
+            const session = await loadSession(req, res);
+            if (!session || !assertGm(req, res, session)) return;
+            const updated = await setSessionStatus(storage, hub, session, 'finished', req.user);
+            res.json({ session: await toSessionSummary(storage, updated) });
+        } catch (err) {
+            handleError(req, res, err, 'close session');
+        }
+    });
+
+    router.post('/:id/archive', async (req, res) => {
+        try {
+            const session = await loadSession(req, res);
+            if (!session || !assertGm(req, res, session)) return;
+            res.json({ session: await archiveSession(storage, hub, session) });
+        } catch (err) {
+            handleError(req, res, err, 'archive session');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSessionsRouter };
@@ -0,0 +1,38 @@
+// server/scripts/migrate.js
+// Usage: node scripts/migrate.js <up|down|status> [steps]
+require('dotenv').config();
+
+const { createPool } = require('../db/pool');
+const { getStatus, migrateUp, migrateDown } = require('../db/migrator');
+
+async function main() {
+    const [command = 'status', stepsArg] = process.argv.slice(2);
+    const pool = createPool();
+
+    try {
+        if (command === 'up') {
+            const applied = await migrateUp(pool);
+            console.log(applied.length ? `[Migrate] Applied ${applied.length} migration(s).` : '[Migrate] Schema is already up to date.');
+        } else if (command === 'down') {
+            const steps = stepsArg ? parseInt(stepsArg, 10) : 1;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error(`Invalid step count: ${stepsArg}`);
+            }
+            const reverted = await migrateDown(pool, steps);
+            console.log(reverted.length ? `[Migrate] Reverted ${reverted.length} migration(s).` : '[Migrate] Nothing to revert.');
+        } else if (command === 'status') {
+            const { migrations, pending } = await getStatus(pool);
+            migrations.forEach(m => console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name}`));
+            console.log(`[Migrate] ${pending.length} pending migration(s).`);
+        } else {
+            throw new Error(`Unknown command "${command}". Expected up, down or status.`);
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch(err => {
+    console.error('[Migrate Error]', err.message);
+    process.exit(1);
+});
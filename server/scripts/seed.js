@@ -0,0 +1,35 @@
+// server/scripts/seed.js
+// Loads the starter card library. Safe to run repeatedly.
+require('dotenv').config();
+
+const { createPool } = require('../db/pool');
+const { assertSchemaCurrent } = require('../db/migrator');
+const starterCards = require('../db/seeds/starterCards');
+const CardRepo = require('../storage/mysql/CardRepo');
+const { validateCard } = require('../game/cardSchema');
+
+async function main() {
+    const pool = createPool();
+
+    try {
+        await assertSchemaCurrent(pool);
+
+        const cards = new CardRepo(pool);
+        let inserted = 0;
+        for (const card of starterCards) {
+            const [existing] = await pool.query('SELECT card_id FROM cards WHERE card_name = ?', [card.card_name]);
+            if (existing.length > 0) continue;
+
+            await cards.create(validateCard(card));
+            inserted++;
+        }
+        console.log(`[Seed] Inserted ${inserted} starter card(s), ${starterCards.length - inserted} already present.`);
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch(err => {
+    console.error('[Seed Error]', err.message, err.details?.errors ?? '');
+    process.exit(1);
+});
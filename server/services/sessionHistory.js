@@ -0,0 +1,130 @@
+// server/services/sessionHistory.js
+// Session transactions, and recording, undoing and rebuilding session history
+// (see game/history.js for the event format). Every change to a session's
+// player_cards goes through recordAction so the event is committed in the same
+// transaction as the change.
+const { GameError } = require('../errors');
+const { diffCards, rebuildCards, undoTargets, cardState, sameState } = require('../game/history');
+const { canSeeCard } = require('../game/roles');
+
+// Runs fn(tx) in a transaction holding the session's lock, so actions on one
+// session never interleave. Every socket action that writes goes through here
+// (or recordAction, which uses it).
+async function sessionTransaction(storage, sessionId, fn) {
+    return storage.transaction(async tx => {
+        await tx.sessions.lock(sessionId);
+        return fn(tx);
+    });
+}
+
+// Runs fn(tx) in a session transaction and appends an event with every card it changed.
+// Effects fn created are tagged with the event's seq so undoing it removes them too.
+// `playerCardId` names the card the action was about; it defaults to the changed
+// card when there is only one. Returns { result, event }; event is null when fn
+// left every card as it was.
+async function recordAction(storage, { sessionId, actorUserId = null, eventType, playerCardId = null }, fn) {
+    return sessionTransaction(storage, sessionId, async tx => {
+        const before = await tx.playerCards.listBySessionWithCards(sessionId);
+        const effectsBefore = new Set((await tx.effects.listBySession(sessionId)).map(e => e.effect_id));
+        const result = await fn(tx);
+        const changes = diffCards(before, await tx.playerCards.listBySessionWithCards(sessionId));
+        const subject = playerCardId ?? (changes.length === 1 ? changes[0].playerCardId : null);
+        const event = changes.length > 0
+            ? await tx.events.append({ sessionId, eventType, actorUserId, playerCardId: subject, changes })
+            : null;
+        if (event) {
+            const created = (await tx.effects.listBySession(sessionId)).filter(e => !effectsBefore.has(e.effect_id));
+            if (created.length > 0) await tx.effects.setEventSeq(created.map(e => e.effect_id), event.seq);
+        }
+        return { result, event };
+    });
+}
+
+// Reverts the last `count` events, newest first, and records that as an 'undo'
+// event. Card instances are put back and the effects those events created are
+// removed; turns, older effects and the combat log stay.
+async function undoEvents(storage, session, actor, count) {
+    const sessionId = session.session_id;
+    return sessionTransaction(storage, sessionId, async tx => {
+        const targets = undoTargets(await tx.events.listBySession(sessionId), count);
+        const before = await tx.playerCards.listBySessionWithCards(sessionId);
+        const current = new Map(before.map(row => [row.player_card_id, cardState(row)]));
+
+        for (const event of targets) {
+            for (const { playerCardId, before: previous, after } of [...event.changes].reverse()) {
+                if (!sameState(current.get(playerCardId) ?? null, after)) {
+                    throw new GameError('UNDO_CONFLICT', `Card ${playerCardId} has changed since event ${event.seq}.`, { seq: event.seq, playerCardId });
+                }
+                if (!previous) {
+                    await tx.playerCards.delete(playerCardId);
+                } else if (!after) {
+                    await tx.playerCards.restore(playerCardId, sessionId, previous);
+                } else {
+                    await tx.playerCards.setState(playerCardId, previous);
+                }
+                current.set(playerCardId, previous);
+            }
+        }
+
+        const revertedSeqs = targets.map(e => e.seq);
+        const removedEffectIds = (await tx.effects.listBySession(sessionId))
+            .filter(e => revertedSeqs.includes(e.event_seq))
+            .map(e => e.effect_id);
+        await tx.effects.removeByEvents(sessionId, revertedSeqs);
+
+        const after = await tx.playerCards.listBySessionWithCards(sessionId);
+        const undo = await tx.events.append({ sessionId, eventType: 'undo', actorUserId: actor.userId, changes: diffCards(before, after) });
+        await tx.events.markReverted(sessionId, revertedSeqs, undo.seq);
+        await tx.combatLog.add({
+            sessionId,
+            userId: actor.userId,
+            actionType: 'Undo',
+            actionDescription: `${actor.username} undid ${targets.length} action(s)`
+        });
+        return { undo, reverted: revertedSeqs, removedEffectIds, cards: after };
+    });
+}
+
+// The session's card instances as they stood after event `seq`, shaped like
+// playerCards.listBySessionWithCards rows
+async function cardsAtSeq(storage, sessionId, seq) {
+    const lastSeq = await storage.events.lastSeq(sessionId);
+    if (!Number.isInteger(seq) || seq < 0 || seq > lastSeq) {
+        throw new GameError('INVALID_SEQ', `seq must be 0-${lastSeq}.`, { seq, lastSeq });
+    }
+
+    const states = rebuildCards(await storage.events.listBySession(sessionId, { toSeq: seq }));
+    const definitions = new Map();
+    const rows = [];
+    for (const [playerCardId, state] of states) {
+        if (!definitions.has(state.card_id)) definitions.set(state.card_id, await storage.cards.findById(state.card_id));
+        rows.push({ ...definitions.get(state.card_id), ...state, player_card_id: playerCardId, session_id: Number(sessionId) });
+    }
+    return { lastSeq, cards: rows };
+}
+
+// An event as `viewer` may see it: which definition a hidden card is stays hidden
+function toEventView(event, viewer) {
+    return {
+        seq: event.seq,
+        type: event.event_type,
+        actorUserId: event.actor_user_id,
+        playerCardId: event.player_card_id,
+        revertedBySeq: event.reverted_by_seq,
+        createdAt: event.created_at,
+        changes: event.changes.map(({ playerCardId, before, after }) => ({
+            playerCardId,
+            before: stateView(before, viewer),
+            after: stateView(after, viewer)
+        }))
+    };
+}
+
+// Deck order is never sent, so deck_position is left out even when the card is visible
+function stateView(state, viewer) {
+    if (!state) return null;
+    if (!canSeeCard(viewer, state)) return { location: state.location, slot_id: state.slot_id, hidden: true };
+    return { card_id: state.card_id, location: state.location, slot_id: state.slot_id, is_active: state.is_active, damage: state.damage };
+}
+
+module.exports = { sessionTransaction, recordAction, undoEvents, cardsAtSeq, toEventView };
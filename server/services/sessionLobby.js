@@ -0,0 +1,120 @@
+// server/services/sessionLobby.js
+// Session lifecycle operations shared by /api/sessions and the lobby socket
+// events. Rules live in game/lobby.js; this file does the storage and broadcasts.
+const { GameError } = require('../errors');
+const { hashPassword } = require('../auth/passwords');
+const { createSeed, seedToState } = require('../game/rng');
+const { validateSessionSettings, rulesetOf, assertTransition } = require('../game/lobby');
+const { takesTurns } = require('../game/roles');
+const { sessionTransaction } = require('./sessionHistory');
+
+const LISTED_STATUSES = ['lobby', 'in_progress'];
+
+// What the lobby shows for a session. The password hash never leaves the server.
+async function toSessionSummary(storage, session) {
+    const members = await storage.sessions.listPlayers(session.session_id);
+    const gm = members.find(m => m.user_id === session.gm_user_id);
+    return {
+        sessionId: session.session_id,
+        sessionName: session.session_name,
+        status: session.status,
+        gmUserId: session.gm_user_id,
+        gmUsername: gm?.username ?? null,
+        playerCount: members.filter(m => takesTurns(session, m)).length,
+        maxPlayers: session.max_players ?? null,
+        locked: Boolean(session.password_hash),
+        ruleset: rulesetOf(session),
+        createdAt: session.created_at,
+        archived: Boolean(session.archived_at)
+    };
+}
+
+async function listSessions(storage, { status, includeArchived = false } = {}) {
+    const statuses = status ? [status] : LISTED_STATUSES;
+    const sessions = await storage.sessions.list({ statuses, includeArchived });
+    return Promise.all(sessions.map(session => toSessionSummary(storage, session)));
+}
+
+// The creator becomes the GM and the first member. Two creates racing for one
+// name can both pass the check, so the unique key's error is translated too.
+async function createSession(storage, hub, user, settings) {
+    const { sessionName, maxPlayers, password, ruleset } = validateSessionSettings(settings);
+    const nameTaken = () => new GameError('SESSION_NAME_TAKEN', 'A session with that name already exists.', { field: 'sessionName' });
+
+    const rngSeed = createSeed();
+    const passwordHash = password ? await hashPassword(password) : null;
+    const session = await storage.transaction(async tx => {
+        if (await tx.sessions.findByName(sessionName)) throw nameTaken();
+        const created = await tx.sessions.create({
+            gmUserId: user.userId,
+            sessionName,
+            rngSeed,
+            rngState: seedToState(rngSeed),
+            maxPlayers,
+            passwordHash,
+            ruleset
+        });
+        await tx.sessions.addPlayer(created.session_id, user.userId);
+        return created;
+    }).catch(err => {
+        throw err.code === 'ER_DUP_ENTRY' ? nameTaken() : err;
+    });
+
+    const summary = await toSessionSummary(storage, session);
+    hub.broadcastLobby('server:lobbyUpdated', summary);
+    return summary;
+}
+
+// Moves a session along lobby -> in_progress -> finished inside the caller's
+// session transaction; announce the result with announceSessionStatus once it commits
+async function changeSessionStatus(tx, sessionId, status, actor) {
+    assertTransition(await tx.sessions.findById(sessionId), status);
+    await tx.sessions.setStatus(sessionId, status);
+    await tx.combatLog.add({
+        sessionId,
+        userId: actor.userId,
+        actionType: 'Session Status',
+        actionDescription: `${actor.username} moved the session to ${status}`
+    });
+    return tx.sessions.findById(sessionId);
+}
+
+// Tells both the table and the lobby
+async function announceSessionStatus(storage, hub, updated) {
+    hub.broadcast(updated.session_id, 'server:sessionStatusChanged', { sessionId: updated.session_id, status: updated.status });
+    hub.broadcastLobby('server:lobbyUpdated', await toSessionSummary(storage, updated));
+}
+
+async function setSessionStatus(storage, hub, session, status, actor) {
+    const updated = await sessionTransaction(storage, session.session_id, tx => changeSessionStatus(tx, session.session_id, status, actor));
+    await announceSessionStatus(storage, hub, updated);
+    return updated;
+}
+
+// Only finished sessions can be archived; they then drop out of the lobby
+async function archiveSession(storage, hub, session) {
+    const archived = await sessionTransaction(storage, session.session_id, async tx => {
+        const current = await tx.sessions.findById(session.session_id);
+        if (current.status !== 'finished') {
+            throw new GameError('INVALID_SESSION_STATE', 'Only finished sessions can be archived.', { status: current.status });
+        }
+        if (current.archived_at) {
+            throw new GameError('INVALID_SESSION_STATE', 'This session is already archived.', { status: current.status });
+        }
+        await tx.sessions.archive(session.session_id);
+        return tx.sessions.findById(session.session_id);
+    });
+    const summary = await toSessionSummary(storage, archived);
+    hub.broadcastLobby('server:lobbyUpdated', summary);
+    return summary;
+}
+
+module.exports = {
+    toSessionSummary,
+    listSessions,
+    createSession,
+    changeSessionStatus,
+    announceSessionStatus,
+    setSessionStatus,
+    archiveSession
+};
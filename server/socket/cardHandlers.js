@@ -0,0 +1,213 @@
+// server/socket/cardHandlers.js
+const { GameError, ConflictError } = require('../errors');
+const { ZONES, resolveMove } = require('../game/zones');
+const { assertCanAct } = require('../game/turns');
+const { toPlayerCardView } = require('../game/cardSchema');
+const { recordAction } = require('../services/sessionHistory');
+const { loadActor } = require('./sessionGuards');
+const { rejectAction } = require('./rejectAction');
+
+async function loadSessionCard(storage, sessionId, playerCardId) {
+    const card = await storage.playerCards.findWithCard(playerCardId);
+    if (!card || card.session_id !== Number(sessionId)) {
+        throw new GameError('CARD_NOT_FOUND', 'Card not found in this session.', { playerCardId });
+    }
+    return card;
+}
+
+// Loads a session card and checks the acting user owns it
+async function loadOwnedCard(storage, sessionId, playerCardId, userId) {
+    const card = await loadSessionCard(storage, sessionId, playerCardId);
+    if (card.user_id !== userId) {
+        throw new GameError('NOT_CARD_OWNER', 'You do not own this card.', { playerCardId });
+    }
+    return card;
+}
+
+// Clients echo the version of the card they acted on. Call this on the card as
+// loaded inside the action's transaction, after checking the actor may touch it.
+function assertVersion(card, version) {
+    if (!Number.isInteger(version)) {
+        throw new GameError('VERSION_REQUIRED', 'Send the version of the card you are acting on.', { playerCardId: card.player_card_id });
+    }
+    if (card.version !== version) {
+        throw new ConflictError(card, version);
+    }
+}
+
+// Places `card` at `destination`/`slotId` if the zone rules allow it. Call it
+// inside recordAction with the transaction's repos as `storage`.
+async function applyMove(storage, card, destination, slotId) {
+    const ownerCards = (await storage.playerCards.listBySessionWithCards(card.session_id))
+        .filter(c => c.user_id === card.user_id);
+    const placement = resolveMove(card, destination, slotId, ownerCards);
+
+    // Cards put back into the draw pile go to the bottom
+    const deckPositions = ownerCards.filter(c => c.location === 'Deck').map(c => Number(c.deck_position) || 0);
+    const deckPosition = destination === 'Deck' ? Math.max(-1, ...deckPositions) + 1 : null;
+
+    const updated = await storage.playerCards.updatePlacement({
+        playerCardId: card.player_card_id,
+        userId: card.user_id,
+        sessionId: card.session_id,
+        deckPosition,
+        ...placement
+    });
+    if (!updated) {
+        throw new GameError('CARD_NOT_FOUND', 'Card not found in this session.', { playerCardId: card.player_card_id });
+    }
+    return placement;
+}
+
+// Broadcast payload for a card event: each client gets the card as they may see it
+function cardView(card, extra = {}) {
+    return viewer => ({ ...toPlayerCardView(card, viewer), ...extra });
+}
+
+// Whether a card moving between these zones stayed out of other players' sight
+function staysFaceDown(...zones) {
+    return zones.every(zone => ZONES[zone]?.faceDown);
+}
+
+function registerCardHandlers(io, socket, storage, hub) {
+    const log = socket.data.log;
+
+    // Handle 'client:createCard' event: adds a copy of a library definition (see
+    // GET /api/cards) to the player's CreatedCardStorage in this session
+    socket.on('client:createCard', async ({ sessionId, cardId }) => {
+        const { userId: user_id, username } = socket.data.user;
+        log.debug('client:createCard received', { sessionId, cardId });
+
+        try {
+            // Step 1: Check the role and that the definition is still in the library
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:createCard');
+            const definition = await storage.cards.findById(cardId);
+            if (!definition || definition.deleted_at) {
+                throw new GameError('CARD_DEFINITION_NOT_FOUND', 'Card definition not found.', { cardId });
+            }
+
+            // Step 2: Insert into 'player_cards' to link it to the session and user, and
+            // add entry to combat_log; the new card is face-down to everyone else
+            const { result: created } = await recordAction(storage, { sessionId: session.session_id, actorUserId: user_id, eventType: 'card_created' }, async tx => {
+                const card = await tx.playerCards.create({
+                    userId: user_id,
+                    cardId: definition.card_id,
+                    sessionId: session.session_id,
+                    location: 'CreatedCardStorage',
+                    slotId: null
+                });
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    actionType: 'Card Created',
+                    actionDescription: `${username} added a card`
+                });
+                return card;
+            });
+            log.debug('Card instantiated', { sessionId: session.session_id, cardId: definition.card_id, playerCardId: created.player_card_id });
+
+            // Step 3: Broadcast the new card to all clients in the session
+            hub.broadcast(session.session_id, 'server:cardCreated', cardView(created));
+            log.debug('Broadcast new card', { sessionId: session.session_id });
+
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:createCard', err);
+            log.error('Error creating card', { sessionId, err });
+            socket.emit('error', 'Failed to create card. See server logs for details.');
+        }
+    });
+
+    // The client only names the destination; where the card came from and whether
+    // it is active there are worked out from the zone rules, not the payload.
+    // The GM may move anyone's card at any time; the zone rules still apply.
+    // `version` is the card's version as the client last saw it.
+    socket.on('client:moveCard', async ({ sessionId, playerCardId, destinationLocation, destinationSlotId, version }) => {
+        // Step 1: The mover is the authenticated socket user
+        const { userId: user_id, username } = socket.data.user;
+        log.debug('client:moveCard received', { sessionId, playerCardId, destinationLocation });
+
+        try {
+            // Step 2: Check role, ownership, version, turn and zone rules, then update the player_cards table
+            const { session, role } = await loadActor(storage, sessionId, user_id, 'client:moveCard');
+            const { result: { card, updatedCard } } = await recordAction(storage, { sessionId: session.session_id, actorUserId: user_id, eventType: 'card_moved', playerCardId }, async tx => {
+                const card = role === 'gm'
+                    ? await loadSessionCard(tx, session.session_id, playerCardId)
+                    : await loadOwnedCard(tx, session.session_id, playerCardId, user_id);
+                assertVersion(card, version);
+                if (role !== 'gm') {
+                    assertCanAct(await tx.turns.get(card.session_id), user_id, 'client:moveCard');
+                }
+                await applyMove(tx, card, destinationLocation, destinationSlotId);
+
+                // Step 3: Fetch the updated card and log the move, without naming a card nobody else could see
+                const moved = await tx.playerCards.findWithCard(playerCardId);
+                const hidden = staysFaceDown(card.location, moved.location);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    cardId: hidden ? null : moved.card_id,
+                    actionType: 'Card Moved',
+                    actionDescription: `${username} moved ${hidden ? 'a card' : `card "${moved.card_name}"`} from ${card.location} to ${moved.location}`
+                });
+                return { card, updatedCard: moved };
+            });
+            log.debug('Card moved and logged', { sessionId: session.session_id, playerCardId });
+
+            // Step 4: Broadcast the updated card data to all clients in the session
+            hub.broadcast(session.session_id, 'server:cardMoved', cardView(updatedCard, { oldLocation: card.location, oldSlotId: card.slot_id }));
+            log.debug('Broadcast card move', { sessionId: session.session_id, playerCardId });
+
+        } catch (err) {
+            if (err instanceof GameError) {
+                log.warn('Rejected card move', { sessionId, playerCardId, code: err.code });
+                return rejectAction(socket, 'client:moveCard', err);
+            }
+            log.error('Error moving card', { sessionId, playerCardId, err });
+            socket.emit('error', 'Failed to move card. See server logs for details.');
+        }
+    });
+
+    // Handle 'client:playCardAction' event (moves card to discard); `version` as for client:moveCard
+    socket.on('client:playCardAction', async ({ sessionId, playerCardId, version }) => {
+        // Step 1: The player is the authenticated socket user
+        const { userId: user_id, username } = socket.data.user;
+        log.debug('client:playCardAction received', { sessionId, playerCardId });
+
+        try {
+            // Step 2: Move the card to 'DiscardPile' through the same turn and zone rules as a move
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:playCardAction');
+            const { result: { card, updatedCard } } = await recordAction(storage, { sessionId: session.session_id, actorUserId: user_id, eventType: 'card_played', playerCardId }, async tx => {
+                const card = await loadOwnedCard(tx, session.session_id, playerCardId, user_id);
+                assertVersion(card, version);
+                assertCanAct(await tx.turns.get(card.session_id), user_id, 'client:playCardAction');
+                await applyMove(tx, card, 'DiscardPile', null);
+
+                // Step 3: Fetch the updated card and log the play
+                const played = await tx.playerCards.findWithCard(playerCardId);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    cardId: played.card_id,
+                    actionType: 'Card Played',
+                    actionDescription: `${username} played card "${played.card_name}" from ${card.location} to DiscardPile`
+                });
+                return { card, updatedCard: played };
+            });
+            log.debug('Card played and logged', { sessionId: session.session_id, playerCardId });
+
+            // Step 4: Broadcast the updated card data to all clients in the session
+            hub.broadcast(session.session_id, 'server:cardPlayed', cardView(updatedCard, { oldLocation: card.location, oldSlotId: card.slot_id }));
+            log.debug('Broadcast played card', { sessionId: session.session_id, playerCardId });
+
+        } catch (err) {
+            if (err instanceof GameError) {
+                log.warn('Rejected card play', { sessionId, playerCardId, code: err.code });
+                return rejectAction(socket, 'client:playCardAction', err);
+            }
+            log.error('Error playing card', { sessionId, playerCardId, err });
+            socket.emit('error', 'Failed to play card. See server logs for details.');
+        }
+    });
+}
+
+module.exports = { registerCardHandlers, loadSessionCard, loadOwnedCard, assertVersion, applyMove, cardView };
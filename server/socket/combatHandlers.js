@@ -0,0 +1,276 @@
+// server/socket/combatHandlers.js
+const { GameError } = require('../errors');
+const { assertCanAct } = require('../game/turns');
+const { resolveAttack, resolveAbility, maxHealth, MAX_BURST_CHAIN } = require('../game/combat');
+const { loadSessionCard, loadOwnedCard, assertVersion, applyMove } = require('./cardHandlers');
+const { loadActor } = require('./sessionGuards');
+const { rejectAction } = require('./rejectAction');
+const { recordAction } = require('../services/sessionHistory');
+
+async function loadBoard(storage, sessionId) {
+    const cards = await storage.playerCards.listBySessionWithCards(sessionId);
+    return cards.filter(c => c.location === 'Board');
+}
+
+// Writes the damage from each hit, sends defeated heroes to the discard pile and
+// stores any new lingering effects. Returns the hits with running totals added.
+// `storage` is the repos of the recordAction transaction the result belongs to.
+async function applyCombatResult(storage, sessionId, result, sourcePlayerCardId) {
+    const hits = [];
+    for (const hit of result.hits) {
+        const card = await storage.playerCards.findWithCard(hit.playerCardId);
+        const totalDamage = (Number(card.damage) || 0) + hit.damage;
+        const health = maxHealth(card);
+        const defeated = totalDamage >= health;
+
+        await storage.playerCards.setDamage(card.player_card_id, totalDamage);
+        if (defeated) {
+            await storage.playerCards.updatePlacement({
+                playerCardId: card.player_card_id,
+                userId: card.user_id,
+                sessionId,
+                location: 'DiscardPile',
+                slotId: null,
+                isActive: false
+            });
+            await storage.effects.removeByTarget(card.player_card_id);
+            await storage.combatLog.add({
+                sessionId,
+                userId: card.user_id,
+                cardId: card.card_id,
+                actionType: 'Card Defeated',
+                actionDescription: `"${card.card_name}" was defeated`
+            });
+        }
+        hits.push({ ...hit, cardName: card.card_name, totalDamage, maxHealth: health, defeated });
+    }
+
+    const effectsApplied = [];
+    for (const effect of result.effects) {
+        if (hits.some(h => h.playerCardId === effect.targetPlayerCardId && h.defeated)) continue;
+        await storage.effects.add({
+            sessionId,
+            sourcePlayerCardId,
+            targetPlayerCardId: effect.targetPlayerCardId,
+            effectName: effect.name,
+            effectType: effect.type,
+            amount: effect.amount,
+            remainingTurns: effect.turns
+        });
+        effectsApplied.push(effect);
+    }
+
+    return { hits, effectsApplied };
+}
+
+function describeHits(hits) {
+    return hits.map(h => `${h.cardName} took ${h.damage}${h.defeated ? ' and was defeated' : ''}`).join(', ');
+}
+
+// Lingering effects follow their target's owner: damage over time lands as the
+// owner's turn starts, and every effect counts down as the owner's turn ends.
+// Runs inside the turn change's transaction and returns the server:combatResolved
+// payloads for the caller to broadcast once it commits.
+async function applyTurnEffects(storage, sessionId, endingUserId, startingUserId) {
+    const ticks = [];
+    for (const effect of await storage.effects.listBySession(sessionId)) {
+        const target = await storage.playerCards.findWithCard(effect.target_player_card_id);
+        if (!target || target.location !== 'Board') {
+            await storage.effects.remove(effect.effect_id);
+            continue;
+        }
+
+        if (target.user_id === startingUserId && effect.effect_type === 'damage_over_time') {
+            const tick = {
+                hits: [{
+                    playerCardId: target.player_card_id,
+                    damage: effect.amount,
+                    breakdown: [{ label: `${effect.effect_name} (${effect.remaining_turns} turn(s) left)`, value: effect.amount }]
+                }],
+                effects: []
+            };
+            const { result: { hits } } = await recordAction(storage, { sessionId, eventType: 'effect_tick', playerCardId: target.player_card_id }, async tx => {
+                const applied = await applyCombatResult(tx, sessionId, tick, effect.source_player_card_id);
+                await tx.combatLog.add({
+                    sessionId,
+                    userId: target.user_id,
+                    cardId: target.card_id,
+                    actionType: 'Effect Tick',
+                    actionDescription: `${effect.effect_name}: ${describeHits(applied.hits)}`
+                });
+                return applied;
+            });
+            ticks.push({
+                sessionId,
+                kind: 'effect',
+                effectName: effect.effect_name,
+                sourceCardId: effect.source_player_card_id,
+                hits,
+                effectsApplied: []
+            });
+        }
+
+        if (target.user_id === endingUserId) {
+            const remaining = effect.remaining_turns - 1;
+            if (remaining <= 0) {
+                await storage.effects.remove(effect.effect_id);
+            } else {
+                await storage.effects.setRemainingTurns(effect.effect_id, remaining);
+            }
+        }
+    }
+    return ticks;
+}
+
+function registerCombatHandlers(io, socket, storage, hub) {
+    const { userId: user_id, username } = socket.data.user;
+    const log = socket.data.log;
+
+    // A hero on the board attacks an enemy hero, optionally with a weapon on the same board.
+    // attackerVersion and weaponVersion are those cards' versions as the client last saw them.
+    socket.on('client:attack', async ({ sessionId, attackerCardId, attackerVersion, weaponCardId, weaponVersion, targetCardId }) => {
+        log.debug('client:attack received', { sessionId, attackerCardId, targetCardId });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:attack');
+            const { result: { attacker, weapon, result, hits, effectsApplied } } = await recordAction(storage, { sessionId: session.session_id, actorUserId: user_id, eventType: 'attack', playerCardId: attackerCardId }, async tx => {
+                // Step 1: Load and check the cards involved
+                const attacker = await loadOwnedCard(tx, session.session_id, attackerCardId, user_id);
+                assertVersion(attacker, attackerVersion);
+                assertCanAct(await tx.turns.get(attacker.session_id), user_id, 'client:attack');
+                const weapon = weaponCardId ? await loadOwnedCard(tx, session.session_id, weaponCardId, user_id) : null;
+                if (weapon) assertVersion(weapon, weaponVersion);
+                const target = await loadSessionCard(tx, session.session_id, targetCardId);
+
+                // Step 2: Resolve, apply and log
+                const result = resolveAttack({
+                    attacker,
+                    weapon,
+                    target,
+                    boardCards: await loadBoard(tx, attacker.session_id),
+                    effects: await tx.effects.listBySession(attacker.session_id)
+                });
+                const applied = await applyCombatResult(tx, attacker.session_id, result, attacker.player_card_id);
+                await tx.combatLog.add({
+                    sessionId: attacker.session_id,
+                    userId: user_id,
+                    cardId: attacker.card_id,
+                    actionType: 'Attack',
+                    actionDescription: `${username}'s "${attacker.card_name}" attacked${weapon ? ` with "${weapon.card_name}"` : ''}: ${describeHits(applied.hits)}`
+                });
+                return { attacker, weapon, result, ...applied };
+            });
+
+            // Step 3: Broadcast
+            hub.broadcast(attacker.session_id, 'server:combatResolved', {
+                sessionId: attacker.session_id,
+                kind: 'attack',
+                actorUserId: user_id,
+                sourceCardId: attacker.player_card_id,
+                weaponCardId: weapon?.player_card_id ?? null,
+                distance: result.distance,
+                reach: result.reach,
+                hits,
+                effectsApplied
+            });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:attack', err);
+            log.error('Error resolving attack', { sessionId, err });
+            socket.emit('error', 'Failed to resolve attack. See server logs for details.');
+        }
+    });
+
+    // A hero on the board uses an ability card from hand or board. Burst abilities
+    // then trigger the ability named in card_ability_burst_link_action, if its
+    // owner holds it, up to MAX_BURST_CHAIN links deep. casterVersion and
+    // abilityVersion are those cards' versions as the client last saw them.
+    socket.on('client:useAbility', async ({ sessionId, casterCardId, casterVersion, abilityCardId, abilityVersion, targetCardId }) => {
+        log.debug('client:useAbility received', { sessionId, abilityCardId, targetCardId });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:useAbility');
+            const { result: { caster, resolutions } } = await recordAction(storage, { sessionId: session.session_id, actorUserId: user_id, eventType: 'ability', playerCardId: casterCardId }, async tx => {
+                // Step 1: Load and check the cards involved
+                const caster = await loadOwnedCard(tx, session.session_id, casterCardId, user_id);
+                assertVersion(caster, casterVersion);
+                assertCanAct(await tx.turns.get(caster.session_id), user_id, 'client:useAbility');
+                let ability = await loadOwnedCard(tx, session.session_id, abilityCardId, user_id);
+                assertVersion(ability, abilityVersion);
+                const target = await loadSessionCard(tx, session.session_id, targetCardId);
+
+                // Step 2: Resolve the ability and follow its burst chain, as one event
+                const resolved = [];
+                const used = new Set();
+                while (ability && resolved.length <= MAX_BURST_CHAIN) {
+                    const currentTarget = await loadSessionCard(tx, caster.session_id, target.player_card_id);
+                    if (resolved.length > 0 && currentTarget.location !== 'Board') break; // Chain fizzles once the target is down
+
+                    let result;
+                    try {
+                        result = resolveAbility({
+                            caster,
+                            ability,
+                            target: currentTarget,
+                            boardCards: await loadBoard(tx, caster.session_id),
+                            effects: await tx.effects.listBySession(caster.session_id)
+                        });
+                    } catch (err) {
+                        // A burst link that can't resolve (out of range, stunned...) ends the
+                        // chain there; the links before it stand
+                        if (resolved.length === 0 || !(err instanceof GameError)) throw err;
+                        log.debug('Burst chain ended', { sessionId: caster.session_id, abilityCardId: ability.player_card_id, code: err.code });
+                        break;
+                    }
+                    const { hits, effectsApplied } = await applyCombatResult(tx, caster.session_id, result, ability.player_card_id);
+                    await applyMove(tx, ability, 'DiscardPile', null); // Abilities are spent once used
+                    used.add(ability.player_card_id);
+
+                    resolved.push({ ability, result, hits, effectsApplied });
+                    await tx.combatLog.add({
+                        sessionId: caster.session_id,
+                        userId: user_id,
+                        cardId: ability.card_id,
+                        actionType: resolved.length > 1 ? 'Burst Triggered' : 'Ability Used',
+                        actionDescription: `${username}'s "${caster.card_name}" used "${ability.card_name}": ${describeHits(hits)}`
+                    });
+
+                    if (!result.burst) break;
+                    const ownerCards = await tx.playerCards.listBySessionWithCards(caster.session_id);
+                    ability = ownerCards.find(c =>
+                        c.user_id === user_id &&
+                        !used.has(c.player_card_id) &&
+                        c.card_type === 'Ability' &&
+                        ['Hand', 'Board'].includes(c.location) &&
+                        c.card_name === result.burst.linkAction
+                    ) || null;
+                }
+                return { caster, resolutions: resolved };
+            });
+
+            // Step 3: Broadcast the first resolution with any burst links nested under it
+            const [first, ...chain] = resolutions.map(({ ability: spent, result, hits, effectsApplied }) => ({
+                abilityCardId: spent.player_card_id,
+                abilityName: spent.card_name,
+                distance: result.distance,
+                reach: result.reach,
+                burst: result.burst,
+                hits,
+                effectsApplied
+            }));
+            hub.broadcast(caster.session_id, 'server:combatResolved', {
+                sessionId: caster.session_id,
+                kind: 'ability',
+                actorUserId: user_id,
+                sourceCardId: caster.player_card_id,
+                ...first,
+                chain
+            });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:useAbility', err);
+            log.error('Error resolving ability', { sessionId, err });
+            socket.emit('error', 'Failed to resolve ability. See server logs for details.');
+        }
+    });
+}
+
+module.exports = { registerCombatHandlers, applyTurnEffects };
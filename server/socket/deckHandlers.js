@@ -0,0 +1,208 @@
+// server/socket/deckHandlers.js
+// Draw pile handling. The order of a player's Deck only ever lives in
+// player_cards.deck_position and is never sent to any client.
+const { GameError } = require('../errors');
+const { ZONES } = require('../game/zones');
+const { assertCanAct, isStarted } = require('../game/turns');
+const { createSeed, seedToState, shuffle } = require('../game/rng');
+const { toPlayerCardPayload } = require('../game/cardSchema');
+const { rulesetOf } = require('../game/lobby');
+const { recordAction } = require('../services/sessionHistory');
+const { loadActor } = require('./sessionGuards');
+const { rejectAction } = require('./rejectAction');
+
+// Runs draw(state), which returns { state, ...result }, on the session's RNG and
+// stores the advanced state. `storage` must be a session transaction: the state
+// is read under its lock, so two concurrent draws can't start from the same one.
+// Sessions created before seeding existed get a seed the first time they need one.
+async function useSessionRng(storage, sessionId, draw) {
+    const session = await storage.sessions.findById(sessionId);
+    const rngSeed = session.rng_seed || createSeed();
+    const { state, ...result } = draw(session.rng_state ?? seedToState(rngSeed));
+    await storage.sessions.updateRng(sessionId, { rngSeed, rngState: state });
+    return result;
+}
+
+// Renumbers the given cards 0..n-1 as a fresh shuffled draw pile
+async function shuffleDeck(storage, session, deckCards) {
+    const { items: shuffled } = await useSessionRng(storage, session.session_id, state => shuffle(deckCards.map(c => c.player_card_id), state));
+    await storage.playerCards.setDeckPositions(shuffled.map((playerCardId, deckPosition) => ({ playerCardId, deckPosition })));
+}
+
+// Copies a saved deck list into the session as player_cards. Cards the Deck zone
+// accepts are shuffled into the draw pile; the rest (heroes) wait in CreatedCardStorage.
+// Like the other helpers here, it expects the repos of a recordAction transaction.
+async function instantiateDeck(storage, session, userId, deckId) {
+    const deck = await storage.decks.findById(deckId);
+    if (!deck || deck.user_id !== userId) {
+        throw new GameError('DECK_NOT_FOUND', 'Deck not found.', { deckId });
+    }
+
+    const drawPile = [];
+    for (const { card_id, quantity } of deck.cards) {
+        const card = await storage.cards.findById(card_id);
+        const location = ZONES.Deck.cardTypes.includes(card.card_type) ? 'Deck' : 'CreatedCardStorage';
+        for (let i = 0; i < quantity; i++) {
+            const created = await storage.playerCards.create({ userId, cardId: card_id, sessionId: session.session_id, location });
+            if (location === 'Deck') drawPile.push(created);
+        }
+    }
+    await shuffleDeck(storage, session, drawPile);
+    return { deck, deckCount: drawPile.length };
+}
+
+// Moves the top `count` cards of a player's draw pile into their hand
+async function drawCards(storage, session, userId, count) {
+    const deck = await storage.playerCards.listDeck(session.session_id, userId);
+    if (deck.length === 0) {
+        throw new GameError('DECK_EMPTY', 'Your deck is empty.');
+    }
+    if (count > deck.length) {
+        throw new GameError('NOT_ENOUGH_CARDS', `Only ${deck.length} card(s) left in your deck.`, { deckCount: deck.length });
+    }
+
+    const allCards = await storage.playerCards.listBySessionWithCards(session.session_id);
+    const handSize = allCards.filter(c => c.user_id === userId && c.location === 'Hand').length;
+    if (handSize + count > ZONES.Hand.capacity) {
+        throw new GameError('ZONE_FULL', `Hand is full (${ZONES.Hand.capacity} cards).`, { destination: 'Hand', capacity: ZONES.Hand.capacity });
+    }
+
+    const drawn = [];
+    for (const card of deck.slice(0, count)) {
+        await storage.playerCards.updatePlacement({
+            playerCardId: card.player_card_id,
+            userId,
+            sessionId: session.session_id,
+            location: 'Hand',
+            slotId: null,
+            isActive: ZONES.Hand.active
+        });
+        drawn.push(await storage.playerCards.findWithCard(card.player_card_id));
+    }
+    return { drawn, deckCount: deck.length - count };
+}
+
+function registerDeckHandlers(io, socket, storage, hub) {
+    const { userId: user_id, username } = socket.data.user;
+    const log = socket.data.log;
+
+    socket.on('client:shuffle', async ({ sessionId }) => {
+        log.debug('client:shuffle received', { sessionId });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:shuffle');
+
+            const { result: deck } = await recordAction(storage, { sessionId: session.session_id, actorUserId: user_id, eventType: 'deck_shuffled' }, async tx => {
+                assertCanAct(await tx.turns.get(session.session_id), user_id, 'client:shuffle');
+                const cards = await tx.playerCards.listDeck(session.session_id, user_id);
+                await shuffleDeck(tx, session, cards);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    actionType: 'Deck Shuffled',
+                    actionDescription: `${username} shuffled their deck`
+                });
+                return cards;
+            });
+
+            hub.broadcast(session.session_id, 'server:deckShuffled', { sessionId: session.session_id, userId: user_id, deckCount: deck.length });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:shuffle', err);
+            log.error('Error shuffling deck', { sessionId, err });
+            socket.emit('error', 'Failed to shuffle deck. See server logs for details.');
+        }
+    });
+
+    // Only the drawing player sees which cards they drew; everyone else gets a count
+    socket.on('client:draw', async ({ sessionId, count = 1 }) => {
+        log.debug('client:draw received', { sessionId, count });
+
+        try {
+            if (!Number.isInteger(count) || count < 1) {
+                throw new GameError('INVALID_COUNT', 'count must be a positive integer.', { count });
+            }
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:draw');
+
+            const { result: { drawn, deckCount } } = await recordAction(storage, { sessionId: session.session_id, actorUserId: user_id, eventType: 'cards_drawn' }, async tx => {
+                assertCanAct(await tx.turns.get(session.session_id), user_id, 'client:draw');
+                const result = await drawCards(tx, session, user_id, count);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    actionType: 'Cards Drawn',
+                    actionDescription: `${username} drew ${count} card(s)`
+                });
+                return result;
+            });
+
+            // The drawer's own reply carries the seq of the broadcast it was left out of
+            const broadcastSeq = hub.broadcast(session.session_id, 'server:playerDrew', { sessionId: session.session_id, userId: user_id, count, deckCount }, { except: socket });
+            socket.emit('server:cardsDrawn', { sessionId: session.session_id, cards: drawn.map(toPlayerCardPayload), deckCount, broadcastSeq });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:draw', err);
+            log.error('Error drawing cards', { sessionId, err });
+            socket.emit('error', 'Failed to draw cards. See server logs for details.');
+        }
+    });
+
+    // During setup a player may shuffle their hand back and draw the same number again
+    socket.on('client:mulligan', async ({ sessionId }) => {
+        log.debug('client:mulligan received', { sessionId });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:mulligan');
+            if (!rulesetOf(session).allowMulligan) {
+                throw new GameError('MULLIGAN_DISABLED', 'Mulligans are turned off in this session.');
+            }
+
+            const { result: { hand, drawn, deckCount } } = await recordAction(storage, { sessionId: session.session_id, actorUserId: user_id, eventType: 'mulligan' }, async tx => {
+                if (isStarted(await tx.turns.get(session.session_id))) {
+                    throw new GameError('MULLIGAN_CLOSED', 'Mulligans are only allowed before turns start.');
+                }
+
+                const allCards = await tx.playerCards.listBySessionWithCards(session.session_id);
+                const hand = allCards.filter(c => c.user_id === user_id && c.location === 'Hand');
+                if (hand.length === 0) {
+                    throw new GameError('EMPTY_HAND', 'You have no cards to mulligan.');
+                }
+
+                for (const card of hand) {
+                    await tx.playerCards.updatePlacement({
+                        playerCardId: card.player_card_id,
+                        userId: user_id,
+                        sessionId: session.session_id,
+                        location: 'Deck',
+                        slotId: null,
+                        deckPosition: 0, // Renumbered by the shuffle below
+                        isActive: ZONES.Deck.active
+                    });
+                }
+                await shuffleDeck(tx, session, await tx.playerCards.listDeck(session.session_id, user_id));
+                const result = await drawCards(tx, session, user_id, hand.length);
+
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    actionType: 'Mulligan',
+                    actionDescription: `${username} mulliganed ${hand.length} card(s)`
+                });
+                return { hand, ...result };
+            });
+
+            const broadcastSeq = hub.broadcast(session.session_id, 'server:playerMulliganed', { sessionId: session.session_id, userId: user_id, count: hand.length, deckCount }, { except: socket });
+            socket.emit('server:cardsDrawn', {
+                sessionId: session.session_id,
+                returnedCardIds: hand.map(c => c.player_card_id),
+                cards: drawn.map(toPlayerCardPayload),
+                deckCount,
+                broadcastSeq
+            });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:mulligan', err);
+            log.error('Error taking mulligan', { sessionId, err });
+            socket.emit('error', 'Failed to mulligan. See server logs for details.');
+        }
+    });
+}
+
+module.exports = { registerDeckHandlers, instantiateDeck, useSessionRng };
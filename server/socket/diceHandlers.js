@@ -0,0 +1,158 @@
+// server/socket/diceHandlers.js
+// Dice rolls and suit checks. Rolls use the session RNG, so a session's rolls
+// replay from its seed just like its shuffles. The GM may roll in secret: the
+// result goes to the GM alone and everyone else only learns that a roll happened.
+const { GameError } = require('../errors');
+const { CHECK_DICE, parseDice, assertDifficulty, rollDice, checkModifiers, resolveRoll } = require('../game/dice');
+const { sessionTransaction } = require('../services/sessionHistory');
+const { useSessionRng } = require('./deckHandlers');
+const { loadActor } = require('./sessionGuards');
+const { rejectAction } = require('./rejectAction');
+
+// Options only the GM may use, checked before anything is rolled
+function assertGmOptions(role, { secret, difficulty }) {
+    if (role === 'gm') return;
+    if (secret) {
+        throw new GameError('FORBIDDEN', 'Only the GM can roll in secret.', { role, option: 'secret' });
+    }
+    if (difficulty !== undefined) {
+        throw new GameError('FORBIDDEN', 'Only the GM sets difficulties.', { role, option: 'difficulty' });
+    }
+}
+
+// Broadcasts server:rollResult; a secret roll is shown in full to the GM only
+function announceRoll(hub, sessionId, result) {
+    const payload = result.secret
+        ? viewer => (viewer.role === 'gm' ? result : { sessionId, kind: result.kind, rollerUserId: result.rollerUserId, secret: true })
+        : result;
+    hub.broadcast(sessionId, 'server:rollResult', payload);
+}
+
+function registerDiceHandlers(io, socket, storage, hub) {
+    const { userId: user_id, username } = socket.data.user;
+    const log = socket.data.log;
+
+    // A plain roll, e.g. { dice: '2d6+3' } or { dice: 'd20', mode: 'advantage' }
+    socket.on('client:rollDice', async ({ sessionId, dice: notation, mode = 'normal', secret = false }) => {
+        log.debug('client:rollDice received', { sessionId, dice: notation });
+
+        try {
+            const { session, role } = await loadActor(storage, sessionId, user_id, 'client:rollDice');
+            assertGmOptions(role, { secret });
+            const dice = parseDice(notation);
+
+            const result = await sessionTransaction(storage, session.session_id, async tx => {
+                const roll = await useSessionRng(tx, session.session_id, state => rollDice(dice, mode, state));
+                const { breakdown, total } = resolveRoll(dice, roll);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    actionType: 'Dice Rolled',
+                    actionDescription: secret
+                        ? `${username} rolled in secret`
+                        : `${username} rolled ${dice.notation}${mode === 'normal' ? '' : ` with ${mode}`}: ${total}`
+                });
+                return {
+                    sessionId: session.session_id,
+                    kind: 'dice',
+                    rollerUserId: user_id,
+                    dice: dice.notation,
+                    mode,
+                    pools: roll.pools,
+                    kept: roll.kept,
+                    breakdown,
+                    total,
+                    secret: Boolean(secret)
+                };
+            });
+
+            announceRoll(hub, session.session_id, result);
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:rollDice', err);
+            log.error('Error rolling dice', { sessionId, err });
+            socket.emit('error', 'Failed to roll dice. See server logs for details.');
+        }
+    });
+
+    // A check in one suit: the dice (1d20 unless given) plus that suit's modifier
+    // from each of the roller's active cards, against the session's difficulty.
+    // The GM may give a difficulty for this one check instead.
+    socket.on('client:rollCheck', async ({ sessionId, suit, dice: notation = CHECK_DICE, mode = 'normal', secret = false, difficulty }) => {
+        log.debug('client:rollCheck received', { sessionId, suit });
+
+        try {
+            const { session, role } = await loadActor(storage, sessionId, user_id, 'client:rollCheck');
+            assertGmOptions(role, { secret, difficulty });
+            if (difficulty !== undefined) assertDifficulty(difficulty);
+            const dice = parseDice(notation);
+
+            const result = await sessionTransaction(storage, session.session_id, async tx => {
+                const current = await tx.sessions.findById(session.session_id);
+                const target = difficulty !== undefined ? difficulty : current.check_difficulty;
+                const modifiers = checkModifiers(await tx.playerCards.listBySessionWithCards(session.session_id), user_id, suit);
+                const roll = await useSessionRng(tx, session.session_id, state => rollDice(dice, mode, state));
+                const { breakdown, total, success } = resolveRoll(dice, roll, modifiers, target);
+
+                const outcome = success === null ? '' : ` vs ${target}, ${success ? 'success' : 'failure'}`;
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    actionType: 'Check Rolled',
+                    actionDescription: secret
+                        ? `${username} rolled a check in secret`
+                        : `${username} rolled a ${suit} check (${dice.notation}${mode === 'normal' ? '' : ` with ${mode}`}): ${total}${outcome}`
+                });
+                return {
+                    sessionId: session.session_id,
+                    kind: 'check',
+                    rollerUserId: user_id,
+                    suit,
+                    dice: dice.notation,
+                    mode,
+                    pools: roll.pools,
+                    kept: roll.kept,
+                    breakdown,
+                    total,
+                    difficulty: target,
+                    success,
+                    secret: Boolean(secret)
+                };
+            });
+
+            announceRoll(hub, session.session_id, result);
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:rollCheck', err);
+            log.error('Error rolling check', { sessionId, err });
+            socket.emit('error', 'Failed to roll check. See server logs for details.');
+        }
+    });
+
+    // The GM sets the difficulty checks are rolled against; null clears it
+    socket.on('client:setDifficulty', async ({ sessionId, difficulty = null }) => {
+        log.debug('client:setDifficulty received', { sessionId, difficulty });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:setDifficulty');
+            assertDifficulty(difficulty);
+            await sessionTransaction(storage, session.session_id, async tx => {
+                await tx.sessions.setCheckDifficulty(session.session_id, difficulty);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    actionType: 'Difficulty Set',
+                    actionDescription: difficulty === null
+                        ? `${username} cleared the check difficulty`
+                        : `${username} set the check difficulty to ${difficulty}`
+                });
+            });
+
+            hub.broadcast(session.session_id, 'server:difficultyChanged', { sessionId: session.session_id, difficulty });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:setDifficulty', err);
+            log.error('Error setting difficulty', { sessionId, err });
+            socket.emit('error', 'Failed to set difficulty. See server logs for details.');
+        }
+    });
+}
+
+module.exports = { registerDiceHandlers };
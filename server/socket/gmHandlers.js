@@ -0,0 +1,202 @@
+// server/socket/gmHandlers.js
+// Events only the GM may send: removing players, adjusting and revealing any
+// card, and handing the GM role to someone else.
+const { GameError } = require('../errors');
+const { ZONES } = require('../game/zones');
+const { KICKED, roleOf } = require('../game/roles');
+const { removeFromTurns, activeUserId, toPublicTurn } = require('../game/turns');
+const { loadActor } = require('./sessionGuards');
+const { loadSessionCard, assertVersion, cardView } = require('./cardHandlers');
+const { buildGameState } = require('./sessionHandlers');
+const { logTurnStart } = require('./turnHandlers');
+const { rejectAction } = require('./rejectAction');
+const { sessionTransaction, recordAction } = require('../services/sessionHistory');
+
+// Instance fields the GM may set through client:editCard, with their checks
+const EDITABLE_FIELDS = {
+    damage: value => Number.isInteger(value) && value >= 0
+};
+
+// Member ids from the payload are compared with numbers everywhere, so a
+// string id would slip past the self-checks
+function parseUserId(userId) {
+    const id = Number(userId);
+    if (!Number.isInteger(id) || id < 1) {
+        throw new GameError('INVALID_USER', 'userId must be a positive integer.', { userId });
+    }
+    return id;
+}
+
+// The target of a GM action must still be at the table
+async function loadMember(storage, session, userId) {
+    const member = await storage.sessions.findPlayer(session.session_id, userId);
+    if (!member || member.role === KICKED) {
+        throw new GameError('PLAYER_NOT_FOUND', 'That player is not in this session.', { userId });
+    }
+    return member;
+}
+
+function registerGmHandlers(io, socket, storage, hub) {
+    const { userId: user_id, username } = socket.data.user;
+    const log = socket.data.log;
+
+    // Removes a member from the session for good; their cards stay where they are
+    socket.on('client:kickPlayer', async ({ sessionId, userId: targetUserId }) => {
+        log.debug('client:kickPlayer received', { sessionId, targetUserId });
+
+        try {
+            const userId = parseUserId(targetUserId);
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:kickPlayer');
+            if (userId === user_id) {
+                throw new GameError('CANNOT_KICK_SELF', 'Hand the GM role to someone else before leaving.');
+            }
+            const { current, turn, turnChanged } = await sessionTransaction(storage, session.session_id, async tx => {
+                await loadMember(tx, session, userId);
+                await tx.sessions.setRole(session.session_id, userId, KICKED);
+                const current = await tx.turns.get(session.session_id);
+                const removed = removeFromTurns(current, userId);
+                await tx.turns.save(session.session_id, removed.turn);
+
+                const kicked = await tx.users.findById(userId);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    actionType: 'Player Kicked',
+                    actionDescription: `${username} removed ${kicked?.username ?? `user ${userId}`} from the session`
+                });
+                if (removed.turnChanged && activeUserId(removed.turn) !== null) await logTurnStart(tx, session.session_id, removed.turn);
+                return { current, ...removed };
+            });
+
+            hub.kick(session.session_id, userId);
+            hub.broadcast(session.session_id, 'server:playerKicked', { sessionId: session.session_id, userId });
+            if (turnChanged) {
+                hub.broadcast(session.session_id, 'server:turnChanged', toPublicTurn(session.session_id, turn));
+                hub.broadcast(session.session_id, 'server:phaseChanged', toPublicTurn(session.session_id, turn));
+            } else if (current.order.includes(userId)) {
+                hub.broadcast(session.session_id, 'server:turnChanged', toPublicTurn(session.session_id, turn));
+            }
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:kickPlayer', err);
+            log.error('Error kicking player', { sessionId, targetUserId, err });
+            socket.emit('error', 'Failed to kick player. See server logs for details.');
+        }
+    });
+
+    // Adjusts a card instance in play, e.g. healing a hero. Definitions are edited through /api/cards.
+    // `version` is the card's version as the GM last saw it.
+    socket.on('client:editCard', async ({ sessionId, playerCardId, changes = {}, version }) => {
+        log.debug('client:editCard received', { sessionId, playerCardId });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:editCard');
+
+            if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+                throw new GameError('INVALID_EDIT', 'changes must be an object.');
+            }
+            const fields = Object.keys(changes);
+            if (fields.length === 0) {
+                throw new GameError('INVALID_EDIT', 'No changes given.');
+            }
+            for (const field of fields) {
+                if (!Object.hasOwn(EDITABLE_FIELDS, field)) {
+                    throw new GameError('INVALID_EDIT', `${field} cannot be edited.`, { field });
+                }
+                if (!EDITABLE_FIELDS[field](changes[field])) {
+                    throw new GameError('INVALID_EDIT', `Invalid value for ${field}.`, { field });
+                }
+            }
+
+            const { result: updated } = await recordAction(storage, { sessionId: session.session_id, actorUserId: user_id, eventType: 'card_edited', playerCardId }, async tx => {
+                const card = await loadSessionCard(tx, session.session_id, playerCardId);
+                assertVersion(card, version);
+                await tx.playerCards.setDamage(card.player_card_id, changes.damage);
+                const edited = await tx.playerCards.findWithCard(card.player_card_id);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    cardId: edited.card_id,
+                    actionType: 'Card Edited',
+                    actionDescription: `${username} set the damage on "${edited.card_name}" to ${changes.damage}`
+                });
+                return edited;
+            });
+
+            hub.broadcast(session.session_id, 'server:cardEdited', cardView(updated));
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:editCard', err);
+            log.error('Error editing card', { sessionId, playerCardId, err });
+            socket.emit('error', 'Failed to edit card. See server logs for details.');
+        }
+    });
+
+    // Shows a face-down card to everyone until it next moves; `version` as for client:editCard
+    socket.on('client:revealCard', async ({ sessionId, playerCardId, version }) => {
+        log.debug('client:revealCard received', { sessionId, playerCardId });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:revealCard');
+            const { result: revealed } = await recordAction(storage, { sessionId: session.session_id, actorUserId: user_id, eventType: 'card_revealed', playerCardId }, async tx => {
+                const card = await loadSessionCard(tx, session.session_id, playerCardId);
+                assertVersion(card, version);
+                if (!ZONES[card.location].faceDown || card.location === 'Deck') {
+                    throw new GameError('NOT_FACE_DOWN', `Cards in ${card.location} can't be revealed.`, { location: card.location });
+                }
+                await tx.playerCards.setRevealed(card.player_card_id, true);
+                const shown = await tx.playerCards.findWithCard(card.player_card_id);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    cardId: shown.card_id,
+                    actionType: 'Card Revealed',
+                    actionDescription: `${username} revealed "${shown.card_name}" from ${shown.location}`
+                });
+                return shown;
+            });
+
+            hub.broadcast(session.session_id, 'server:cardRevealed', cardView(revealed));
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:revealCard', err);
+            log.error('Error revealing card', { sessionId, playerCardId, err });
+            socket.emit('error', 'Failed to reveal card. See server logs for details.');
+        }
+    });
+
+    // The old and new GM see different cards afterwards, so both get a fresh state
+    socket.on('client:transferGm', async ({ sessionId, userId: newGmUserId }) => {
+        log.debug('client:transferGm received', { sessionId, newGmUserId });
+
+        try {
+            const userId = parseUserId(newGmUserId);
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:transferGm');
+            if (userId === user_id) {
+                throw new GameError('ALREADY_GM', 'You are already the GM.');
+            }
+            const updated = await sessionTransaction(storage, session.session_id, async tx => {
+                await loadMember(tx, session, userId);
+                await tx.sessions.setGm(session.session_id, userId);
+                const newGm = await tx.users.findById(userId);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    actionType: 'GM Changed',
+                    actionDescription: `${username} handed the GM role to ${newGm?.username ?? `user ${userId}`}`
+                });
+                return tx.sessions.findById(session.session_id);
+            });
+
+            for (const memberId of [user_id, userId]) {
+                const role = roleOf(updated, await storage.sessions.findPlayer(updated.session_id, memberId));
+                hub.setRole(updated.session_id, memberId, role);
+                hub.sendToUser(updated.session_id, memberId, 'server:gameState', await buildGameState(storage, hub, updated, { userId: memberId, role }));
+            }
+            hub.broadcast(updated.session_id, 'server:gmChanged', { sessionId: updated.session_id, gmUserId: userId, previousGmUserId: user_id });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:transferGm', err);
+            log.error('Error transferring GM', { sessionId, err });
+            socket.emit('error', 'Failed to transfer the GM role. See server logs for details.');
+        }
+    });
+}
+
+module.exports = { registerGmHandlers };
@@ -0,0 +1,98 @@
+// server/socket/historyHandlers.js
+// Session history: the GM can undo recent actions, and any member can read the
+// event list or rebuild the table at an earlier point, e.g. to step through a
+// finished game.
+const { GameError } = require('../errors');
+const { toPlayerCardView } = require('../game/cardSchema');
+const { undoEvents, cardsAtSeq, toEventView } = require('../services/sessionHistory');
+const { loadActor } = require('./sessionGuards');
+const { rejectAction } = require('./rejectAction');
+
+// Cards as buildGameState sends them: draw piles only as counts per player
+function toTableView(rows, viewer) {
+    const deckCounts = {};
+    rows.filter(row => row.location === 'Deck').forEach(row => {
+        deckCounts[row.user_id] = (deckCounts[row.user_id] || 0) + 1;
+    });
+    return {
+        cards: rows.filter(row => row.location !== 'Deck').map(row => toPlayerCardView(row, viewer)),
+        deckCounts
+    };
+}
+
+function registerHistoryHandlers(io, socket, storage, hub) {
+    const { userId: user_id } = socket.data.user;
+    const log = socket.data.log;
+
+    // Reverts the last `count` actions that changed cards. Clients get the
+    // affected cards back as they now are, and ids of cards and effects that no
+    // longer exist. Cards put back in a draw pile aren't sent (deck order stays
+    // hidden), so their ids come in returnedToDeckIds.
+    socket.on('client:undo', async ({ sessionId, count = 1 }) => {
+        log.debug('client:undo received', { sessionId, count });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:undo');
+            const { undo, reverted, removedEffectIds, cards } = await undoEvents(storage, session, socket.data.user, count);
+
+            const changedIds = new Set(undo.changes.map(change => change.playerCardId));
+            const changed = cards.filter(row => changedIds.has(row.player_card_id));
+            const removedCardIds = undo.changes.filter(change => !change.after).map(change => change.playerCardId);
+            const returnedToDeckIds = changed.filter(row => row.location === 'Deck').map(row => row.player_card_id);
+            hub.broadcast(session.session_id, 'server:actionsUndone', viewer => ({
+                sessionId: session.session_id,
+                seq: undo.seq,
+                revertedSeqs: reverted,
+                removedCardIds,
+                returnedToDeckIds,
+                removedEffectIds,
+                ...toTableView(changed, viewer),
+                deckCounts: toTableView(cards, viewer).deckCounts
+            }));
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:undo', err);
+            log.error('Error undoing', { sessionId, err });
+            socket.emit('error', 'Failed to undo. See server logs for details.');
+        }
+    });
+
+    socket.on('client:getHistory', async ({ sessionId }) => {
+        log.debug('client:getHistory received', { sessionId });
+
+        try {
+            const { session, role } = await loadActor(storage, sessionId, user_id, 'client:getHistory');
+            const events = await storage.events.listBySession(session.session_id);
+            socket.emit('server:history', {
+                sessionId: session.session_id,
+                events: events.map(event => toEventView(event, { userId: user_id, role }))
+            });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:getHistory', err);
+            log.error('Error loading history', { sessionId, err });
+            socket.emit('error', 'Failed to load history. See server logs for details.');
+        }
+    });
+
+    // The table as it stood after event `seq` (0 is before anything happened).
+    // Only sent to the asking socket; the live game is untouched.
+    socket.on('client:replayTo', async ({ sessionId, seq }) => {
+        log.debug('client:replayTo received', { sessionId, seq });
+
+        try {
+            const { session, role } = await loadActor(storage, sessionId, user_id, 'client:replayTo');
+            const { lastSeq, cards } = await cardsAtSeq(storage, session.session_id, seq);
+            socket.emit('server:replayState', {
+                sessionId: session.session_id,
+                seq,
+                lastSeq,
+                ...toTableView(cards, { userId: user_id, role })
+            });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:replayTo', err);
+            log.error('Error replaying session', { sessionId, seq, err });
+            socket.emit('error', 'Failed to replay session. See server logs for details.');
+        }
+    });
+}
+
+module.exports = { registerHistoryHandlers };
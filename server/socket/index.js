@@ -0,0 +1,36 @@
+// server/socket/index.js
+const { logger } = require('../logger');
+const { createRateLimiter } = require('./rateLimits');
+const { registerSessionHandlers } = require('./sessionHandlers');
+const { registerCardHandlers } = require('./cardHandlers');
+const { registerTurnHandlers } = require('./turnHandlers');
+const { registerCombatHandlers } = require('./combatHandlers');
+const { registerDeckHandlers } = require('./deckHandlers');
+const { registerGmHandlers } = require('./gmHandlers');
+const { registerLobbyHandlers } = require('./lobbyHandlers');
+const { registerHistoryHandlers } = require('./historyHandlers');
+const { registerDiceHandlers } = require('./diceHandlers');
+
+// --- Socket.IO Connection and Event Handlers ---
+// `hub` is the session hub (see sessionHub.js), shared with the HTTP routes.
+// Handlers log through socket.data.log, which already carries the socket and user.
+function registerSocketHandlers(io, storage, hub) {
+    io.on('connection', (socket) => {
+        const { userId, username } = socket.data.user;
+        socket.data.log = logger.child({ socketId: socket.id, userId, username });
+        socket.data.log.info('User connected');
+        socket.use(createRateLimiter(socket));
+
+        registerSessionHandlers(io, socket, storage, hub);
+        registerCardHandlers(io, socket, storage, hub);
+        registerTurnHandlers(io, socket, storage, hub);
+        registerCombatHandlers(io, socket, storage, hub);
+        registerDeckHandlers(io, socket, storage, hub);
+        registerGmHandlers(io, socket, storage, hub);
+        registerLobbyHandlers(io, socket, storage, hub);
+        registerHistoryHandlers(io, socket, storage, hub);
+        registerDiceHandlers(io, socket, storage, hub);
+    });
+}
+
+module.exports = { registerSocketHandlers };
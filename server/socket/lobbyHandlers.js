@@ -0,0 +1,76 @@
+// server/socket/lobbyHandlers.js
+// The session browser. Sockets in the lobby get server:lobbyUpdated whenever a
+// listed session is created, changes status or gains or loses a player.
+const { GameError } = require('../errors');
+const { STATUSES } = require('../game/lobby');
+const { listSessions, createSession, setSessionStatus, archiveSession } = require('../services/sessionLobby');
+const { loadActor } = require('./sessionGuards');
+const { rejectAction } = require('./rejectAction');
+
+function registerLobbyHandlers(io, socket, storage, hub) {
+    const { userId: user_id } = socket.data.user;
+    const log = socket.data.log;
+
+    // status narrows the list as for GET /api/sessions
+    socket.on('client:joinLobby', async ({ status } = {}) => {
+        log.debug('client:joinLobby received', { status });
+
+        try {
+            if (status !== undefined && !STATUSES.includes(status)) {
+                throw new GameError('INVALID_STATUS', `status must be one of: ${STATUSES.join(', ')}.`, { status });
+            }
+            hub.joinLobby(socket);
+            socket.emit('server:sessionList', { sessions: await listSessions(storage, { status }) });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:joinLobby', err);
+            log.error('Error listing sessions', { err });
+            socket.emit('error', 'Failed to list sessions. See server logs for details.');
+        }
+    });
+
+    socket.on('client:leaveLobby', () => {
+        hub.leaveLobby(socket);
+    });
+
+    // Settings as for POST /api/sessions. The creator still joins with client:joinGame.
+    socket.on('client:createSession', async (settings = {}) => {
+        log.debug('client:createSession received', { sessionName: settings.sessionName });
+
+        try {
+            const session = await createSession(storage, hub, socket.data.user, settings);
+            socket.emit('server:sessionCreated', session);
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:createSession', err);
+            log.error('Error creating session', { sessionName: settings.sessionName, err });
+            socket.emit('error', 'Failed to create session. See server logs for details.');
+        }
+    });
+
+    socket.on('client:closeSession', async ({ sessionId }) => {
+        log.debug('client:closeSession received', { sessionId });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:closeSession');
+            await setSessionStatus(storage, hub, session, 'finished', socket.data.user);
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:closeSession', err);
+            log.error('Error closing session', { sessionId, err });
+            socket.emit('error', 'Failed to close session. See server logs for details.');
+        }
+    });
+
+    socket.on('client:archiveSession', async ({ sessionId }) => {
+        log.debug('client:archiveSession received', { sessionId });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:archiveSession');
+            socket.emit('server:sessionArchived', await archiveSession(storage, hub, session));
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:archiveSession', err);
+            log.error('Error archiving session', { sessionId, err });
+            socket.emit('error', 'Failed to archive session. See server logs for details.');
+        }
+    });
+}
+
+module.exports = { registerLobbyHandlers };
@@ -0,0 +1,110 @@
+// server/socket/rateLimits.js
+// Per-socket and per-event token buckets, a cap on event payload size and a
+// check that the payload is an object. Runs as Socket.IO middleware ahead of
+// every handler: refused events never reach their handler, and the client gets
+// server:actionRejected with RATE_LIMITED, PAYLOAD_TOO_LARGE or INVALID_PAYLOAD.
+const { GameError } = require('../errors');
+const { rejectAction } = require('./rejectAction');
+
+// Every socket may send `burst` events at once, then `perSecond` on average
+const SOCKET_LIMIT = { burst: 40, perSecond: 20 };
+
+// Events that write a lot or are expensive to answer get their own, tighter
+// buckets. Every other event name, known or not, shares one default bucket.
+const EVENT_LIMITS = {
+    'client:joinGame': { burst: 5, perSecond: 1 },
+    'client:createSession': { burst: 3, perSecond: 0.2 },
+    'client:createCard': { burst: 5, perSecond: 1 },
+    'client:draw': { burst: 5, perSecond: 2 },
+    'client:rollDice': { burst: 10, perSecond: 2 },
+    'client:rollCheck': { burst: 10, perSecond: 2 },
+    'client:getHistory': { burst: 5, perSecond: 1 },
+    'client:replayTo': { burst: 10, perSecond: 2 },
+    'client:undo': { burst: 5, perSecond: 1 }
+};
+const DEFAULT_EVENT_LIMIT = { burst: 20, perSecond: 10 };
+
+// Largest event payload (its arguments as JSON) a handler will look at. Anything
+// over the transport's maxHttpBufferSize (see app.js) drops the connection instead.
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+// Takes one token, refilling for the time since the last take. Returns 0 when
+// the event may go ahead, or how many ms until a token is free.
+function take(bucket, limit, now) {
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.perSecond);
+    bucket.updatedAt = now;
+    if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) / limit.perSecond) * 1000);
+}
+
+function payloadBytes(args) {
+    try {
+        return Buffer.byteLength(JSON.stringify(args) ?? '');
+    } catch {
+        return Infinity; // Can't be serialised, so can't be a sensible payload either
+    }
+}
+
+// Event names come from the client, so only names in EVENT_LIMITS get a bucket of their own
+function bucketKeyOf(event) {
+    return typeof event === 'string' && Object.hasOwn(EVENT_LIMITS, event) ? event : null;
+}
+
+// Middleware for socket.use(). Buckets live on the socket and go with it; there
+// is at most one per EVENT_LIMITS entry, plus the shared default one.
+function createRateLimiter(socket, { now = Date.now } = {}) {
+    const log = socket.data.log;
+    const socketBucket = { tokens: SOCKET_LIMIT.burst, updatedAt: now() };
+    const eventBuckets = new Map();
+
+    function eventBucket(key, limit, time) {
+        if (!eventBuckets.has(key)) eventBuckets.set(key, { tokens: limit.burst, updatedAt: time });
+        return eventBuckets.get(key);
+    }
+
+    function reject(event, code, message, details) {
+        return rejectAction(socket, event, new GameError(code, message, details));
+    }
+
+    return (packet, next) => {
+        const [event, ...args] = packet;
+        const time = now();
+
+        // Every packet costs a socket token before anything looks at it, so
+        // malformed ones are throttled like the rest
+        const socketWait = take(socketBucket, SOCKET_LIMIT, time);
+        if (socketWait) {
+            log.warn('Rate limited', { event, scope: 'socket', retryAfterMs: socketWait });
+            return reject(event, 'RATE_LIMITED', 'Too many requests; slow down.', { scope: 'socket', retryAfterMs: socketWait });
+        }
+
+        const bytes = payloadBytes(args);
+        if (bytes > MAX_PAYLOAD_BYTES) {
+            log.warn('Payload too large', { event, bytes });
+            return reject(event, 'PAYLOAD_TOO_LARGE', `Event payloads are limited to ${MAX_PAYLOAD_BYTES} bytes.`, { bytes, maxBytes: MAX_PAYLOAD_BYTES });
+        }
+
+        // Handlers destructure their payload, so anything but an object would throw.
+        // A missing payload is taken as an empty one.
+        if (args[0] === undefined) {
+            packet[1] = {};
+        } else if (args[0] === null || typeof args[0] !== 'object' || Array.isArray(args[0])) {
+            log.warn('Invalid payload', { event, payloadType: args[0] === null ? 'null' : Array.isArray(args[0]) ? 'array' : typeof args[0] });
+            return reject(event, 'INVALID_PAYLOAD', 'Event payloads must be objects.');
+        }
+
+        const key = bucketKeyOf(event);
+        const limit = key ? EVENT_LIMITS[key] : DEFAULT_EVENT_LIMIT;
+        const eventWait = take(eventBucket(key, limit, time), limit, time);
+        if (eventWait) {
+            log.warn('Rate limited', { event, scope: 'event', retryAfterMs: eventWait });
+            return reject(event, 'RATE_LIMITED', 'Too many requests; slow down.', { scope: 'event', retryAfterMs: eventWait });
+        }
+        next();
+    };
+}
+
+module.exports = { SOCKET_LIMIT, EVENT_LIMITS, MAX_PAYLOAD_BYTES, createRateLimiter };
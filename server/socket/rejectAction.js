@@ -0,0 +1,25 @@
+// server/socket/rejectAction.js
+const { ConflictError } = require('../errors');
+const { toPlayerCardPayload } = require('../game/cardSchema');
+
+// Tells the acting client why its event was refused, with a structured error code.
+// Stale card versions get server:conflict with the card as it is now instead.
+function rejectAction(socket, event, err) {
+    if (err instanceof ConflictError) {
+        return socket.emit('server:conflict', {
+            event,
+            code: err.code,
+            message: err.message,
+            details: err.details,
+            card: toPlayerCardPayload(err.card)
+        });
+    }
+    socket.emit('server:actionRejected', {
+        event,
+        code: err.code,
+        message: err.message,
+        details: err.details
+    });
+}
+
+module.exports = { rejectAction };
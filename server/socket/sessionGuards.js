@@ -0,0 +1,31 @@
+// server/socket/sessionGuards.js
+// Lookups shared by the socket handlers that throw a GameError when the acting
+// user isn't allowed near the session.
+const { GameError } = require('../errors');
+const { roleOf, assertRoleAllows } = require('../game/roles');
+const { assertSessionOpen } = require('../game/lobby');
+
+async function loadSession(storage, sessionId) {
+    const session = await storage.sessions.findById(sessionId);
+    if (!session) {
+        throw new GameError('SESSION_NOT_FOUND', 'Game session not found.', { sessionId });
+    }
+    return session;
+}
+
+// Loads the session and the acting user's role in it, refusing the event if that
+// role may not send it, or if the session has finished. Every client event that
+// names a session goes through here.
+async function loadActor(storage, sessionId, userId, event) {
+    const session = await loadSession(storage, sessionId);
+    assertSessionOpen(session, event);
+    const member = await storage.sessions.findPlayer(session.session_id, userId);
+    if (!member) {
+        throw new GameError('NOT_IN_SESSION', 'You have not joined this session.', { sessionId });
+    }
+    const role = roleOf(session, member);
+    assertRoleAllows(role, event);
+    return { session, role };
+}
+
+module.exports = { loadSession, loadActor };
@@ -0,0 +1,169 @@
+// server/socket/sessionHandlers.js
+const { GameError } = require('../errors');
+const { toPublicTurn } = require('../game/turns');
+const { toPlayerCardView } = require('../game/cardSchema');
+const { roleOf, assertRoleAllows, takesTurns } = require('../game/roles');
+const { assertCanJoin } = require('../game/lobby');
+const { verifyPassword } = require('../auth/passwords');
+const { toSessionSummary } = require('../services/sessionLobby');
+const { sessionTransaction, recordAction } = require('../services/sessionHistory');
+const { instantiateDeck } = require('./deckHandlers');
+const { loadActor } = require('./sessionGuards');
+const { rejectAction } = require('./rejectAction');
+
+// Everything a client needs to draw the table, as `viewer` ({ userId, role }) may
+// see it. Draw piles are hidden: only how many cards each player has left is sent.
+// The card library itself is browsed through GET /api/cards. broadcastSeq is the
+// last broadcast the state already reflects.
+async function buildGameState(storage, hub, session, viewer) {
+    const sessionId = session.session_id;
+    const allPlayerCards = await storage.playerCards.listBySessionWithCards(sessionId);
+    const deckCounts = {};
+    allPlayerCards.filter(pc => pc.location === 'Deck').forEach(pc => {
+        deckCounts[pc.user_id] = (deckCounts[pc.user_id] || 0) + 1;
+    });
+    const combatLogEntries = await storage.combatLog.listBySession(sessionId);
+    const effects = await storage.effects.listBySession(sessionId);
+
+    return {
+        sessionId, // Send numerical ID to frontend
+        sessionName: session.session_name, // Also send the friendly name
+        status: session.status,
+        checkDifficulty: session.check_difficulty ?? null,
+        broadcastSeq: hub.currentSeq(sessionId),
+        players: await hub.roster(session),
+        role: viewer.role,
+        cards: allPlayerCards.filter(pc => pc.location !== 'Deck').map(pc => toPlayerCardView(pc, viewer)),
+        deckCounts,
+        combatLog: combatLogEntries.map(log => ({
+            logId: log.log_id, userId: log.user_id, cardId: log.card_id, actionType: log.action_type, actionDescription: log.action_description, timestamp: log.action_timestamp
+        })),
+        turn: toPublicTurn(sessionId, await storage.turns.get(sessionId)),
+        effects: effects.map(e => ({
+            effectId: e.effect_id, targetCardId: e.target_player_card_id, name: e.effect_name, type: e.effect_type, amount: e.amount, remainingTurns: e.remaining_turns
+        }))
+    };
+}
+
+// Tells the rest of the table someone arrived, unless they were already there in another tab
+async function announcePlayer(hub, socket, session, { resumed, wasOnline }) {
+    if (wasOnline) return;
+    const player = await hub.rosterEntry(session, socket.data.user.userId);
+    const event = resumed ? 'server:playerReconnected' : 'server:playerJoined';
+    hub.broadcast(session.session_id, event, { sessionId: session.session_id, ...player }, { except: socket });
+}
+
+function registerSessionHandlers(io, socket, storage, hub) {
+    const log = socket.data.log;
+
+    // Handle 'client:joinGame' event
+    // deckId (optional) picks one of the player's saved decks the first time they join a session;
+    // spectate joins as a spectator instead, who sees only public cards and can't act.
+    // Sessions are created beforehand (client:createSession or POST /api/sessions);
+    // password is needed the first time a user joins a locked one.
+    socket.on('client:joinGame', async ({ sessionId: sessionName, deckId, spectate = false, password }) => { // sessionId is now sessionName
+        // Step 1: Identity comes from the authenticated socket, never the payload
+        const { userId: user_id, username } = socket.data.user;
+        log.debug('client:joinGame received', { sessionName });
+
+        try {
+            // Step 2: Look up the numerical game_session ID from sessionName
+            const session = await storage.sessions.findByName(sessionName);
+            if (!session) {
+                throw new GameError('SESSION_NOT_FOUND', `No session named '${sessionName}'.`, { sessionName });
+            }
+            log.debug('Found session', { sessionName, sessionId: session.session_id });
+            const numerical_session_id = session.session_id;
+
+            // scrypt is slow, so a given password is checked before the session is
+            // locked. It only counts if the hash is still the same under the lock.
+            const passwordOk = Boolean(session.password_hash && typeof password === 'string' && await verifyPassword(password, session.password_hash));
+
+            // Step 3: Check/create player_session entry, bringing the chosen deck on first join.
+            // Returning members keep the role they had; newcomers must fit the session's settings.
+            // The seat check, the deck and the new row commit together, so two
+            // joins can't both take the last seat. The checks use the session as
+            // read under its lock, not the copy looked up by name.
+            const { playerSession, isNewMember } = await sessionTransaction(storage, numerical_session_id, async tx => {
+                const existing = await tx.sessions.findPlayer(numerical_session_id, user_id);
+                if (existing) return { playerSession: existing, isNewMember: false };
+
+                const current = await tx.sessions.findById(numerical_session_id);
+                const members = await tx.sessions.listPlayers(numerical_session_id);
+                assertCanJoin(current, {
+                    playerCount: members.filter(m => takesTurns(current, m)).length,
+                    spectate,
+                    passwordOk: passwordOk && current.password_hash === session.password_hash
+                });
+                if (deckId && !spectate) {
+                    await recordAction(tx, { sessionId: numerical_session_id, actorUserId: user_id, eventType: 'deck_loaded' }, async deckTx => {
+                        const { deck, deckCount } = await instantiateDeck(deckTx, current, user_id, deckId);
+                        await deckTx.combatLog.add({
+                            sessionId: numerical_session_id,
+                            userId: user_id,
+                            actionType: 'Deck Loaded',
+                            actionDescription: `${username} brought deck "${deck.deck_name}" (${deckCount} cards in the draw pile)`
+                        });
+                    });
+                }
+                const added = await tx.sessions.addPlayer(numerical_session_id, user_id, spectate ? 'spectator' : 'player');
+                log.info('Player joined session', { sessionId: numerical_session_id, spectate });
+                return { playerSession: added, isNewMember: true };
+            });
+
+            // Step 4: Join the Socket.IO room. A full state replaces anything
+            // queued while the player was away.
+            const role = roleOf(session, playerSession);
+            assertRoleAllows(role, 'client:joinGame');
+            const attached = await hub.attach(socket, session, role);
+            log.debug('Socket joined room', { sessionId: numerical_session_id });
+
+            // Step 5: Announce the player, then send the initial game state (which
+            // counts the announcement among the broadcasts it already reflects)
+            await announcePlayer(hub, socket, session, attached);
+            socket.emit('server:gameState', await buildGameState(storage, hub, session, { userId: user_id, role }));
+            if (isNewMember) hub.broadcastLobby('server:lobbyUpdated', await toSessionSummary(storage, session));
+            log.debug('Sent initial game state', { sessionId: numerical_session_id });
+
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:joinGame', err);
+            log.error('Error joining game', { sessionName, err });
+            socket.emit('error', 'Failed to join game. See server logs for details.');
+        }
+    });
+
+    // A client whose connection dropped asks to pick up where it left off. Within
+    // the grace period it gets only the events it missed; after that (or if too
+    // many piled up) it gets the whole state again.
+    socket.on('client:resumeSession', async ({ sessionId }) => {
+        const { userId: user_id } = socket.data.user;
+        log.debug('client:resumeSession received', { sessionId });
+
+        try {
+            const { session, role } = await loadActor(storage, sessionId, user_id, 'client:resumeSession');
+            const attached = await hub.attach(socket, session, role);
+            await announcePlayer(hub, socket, session, attached);
+
+            if (attached.missed) {
+                socket.emit('server:missedEvents', { sessionId: session.session_id, events: attached.missed, broadcastSeq: hub.currentSeq(session.session_id) });
+            } else {
+                socket.emit('server:gameState', await buildGameState(storage, hub, session, { userId: user_id, role }));
+            }
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:resumeSession', err);
+            log.error('Error resuming session', { sessionId, err });
+            socket.emit('error', 'Failed to resume session. See server logs for details.');
+        }
+    });
+
+    socket.on('disconnect', async () => {
+        log.info('User disconnected');
+        try {
+            await hub.detach(socket);
+        } catch (err) {
+            log.error('Error updating presence', { err });
+        }
+    });
+}
+
+module.exports = { registerSessionHandlers, buildGameState };
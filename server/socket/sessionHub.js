@@ -0,0 +1,216 @@
+// server/socket/sessionHub.js
+// Session rooms and who is in them. Every broadcast to a session goes through
+// here so that players who drop can be sent just what they missed when they
+// resume within the grace period, and so each client can get its own view.
+// Each session's broadcasts are numbered (broadcastSeq, from 1) so a client can
+// tell it missed one and ask to resume. The count lives in memory and starts
+// over when the server restarts; clients reload the full state then anyway.
+const { KICKED } = require('../game/roles');
+const { logger } = require('../logger');
+
+const DEFAULT_RECONNECT_GRACE_MS = 30000;
+const MAX_MISSED_EVENTS = 500;
+const LOBBY_ROOM = 'lobby';
+
+function createSessionHub(io, storage, { graceMs = Number(process.env.RECONNECT_GRACE_MS) || DEFAULT_RECONNECT_GRACE_MS } = {}) {
+    // sessionId -> Map(userId -> Set(socket.id))
+    const connected = new Map();
+    // `${sessionId}:${userId}` -> { expiresAt, timer, missed, overflowed } for dropped players
+    const heldSeats = new Map();
+    // sessionId -> Map(userId -> role), for filtering what each client is sent
+    const roles = new Map();
+    // sessionId -> broadcastSeq of the last broadcast
+    const seqs = new Map();
+    // Set by close(); sockets dropped after that don't get their seats held
+    let closing = false;
+
+    const seatKey = (sessionId, userId) => `${sessionId}:${userId}`;
+
+    function socketsOf(sessionId, userId) {
+        return connected.get(sessionId)?.get(userId) ?? new Set();
+    }
+
+    function viewerOf(sessionId, userId) {
+        return { userId, role: roles.get(sessionId)?.get(userId) ?? 'spectator' };
+    }
+
+    function setRole(sessionId, userId, role) {
+        if (!roles.has(sessionId)) roles.set(sessionId, new Map());
+        roles.get(sessionId).set(userId, role);
+    }
+
+    function currentSeq(sessionId) {
+        return seqs.get(Number(sessionId)) ?? 0;
+    }
+
+    // Emits to everyone in the session (optionally except the sending socket) and
+    // queues the event for anyone whose seat is being held. `payload` may be a
+    // function of the viewer ({ userId, role }) when clients see different things.
+    // Returns the broadcastSeq stamped on it; a socket left out with `except`
+    // should be handed that seq in its own reply.
+    function broadcast(sessionId, event, payload, { except } = {}) {
+        const room = Number(sessionId);
+        const broadcastSeq = currentSeq(room) + 1;
+        seqs.set(room, broadcastSeq);
+        const viewFor = typeof payload === 'function'
+            ? userId => ({ ...payload(viewerOf(room, userId)), broadcastSeq })
+            : () => ({ ...payload, broadcastSeq });
+
+        if (typeof payload === 'function') {
+            for (const [userId, socketIds] of connected.get(room) ?? []) {
+                const view = viewFor(userId);
+                socketIds.forEach(id => id !== except?.id && io.to(id).emit(event, view));
+            }
+        } else {
+            (except ? except.to(room) : io.to(room)).emit(event, viewFor());
+        }
+
+        for (const seat of heldSeats.values()) {
+            if (seat.sessionId !== room || seat.overflowed) continue;
+            if (seat.missed.length >= MAX_MISSED_EVENTS) {
+                seat.overflowed = true;
+                seat.missed = [];
+                continue;
+            }
+            seat.missed.push({ event, payload: viewFor(seat.userId) });
+        }
+        return broadcastSeq;
+    }
+
+    async function rosterEntry(session, userId) {
+        const players = await roster(session);
+        return players.find(p => p.userId === userId);
+    }
+
+    // Members in join order with their role and presence
+    async function roster(session) {
+        const players = await storage.sessions.listPlayers(session.session_id);
+        return players.filter(p => p.role !== KICKED).map(p => ({
+            userId: p.user_id,
+            username: p.username,
+            role: p.user_id === session.gm_user_id ? 'gm' : p.role,
+            status: p.presence,
+            lastSeenAt: p.last_seen_at
+        }));
+    }
+
+    // Puts the socket in the session's room. If the user's seat was being held,
+    // returns the events they missed (null when too many piled up to replay).
+    // wasOnline is set when another of the user's sockets is already here.
+    async function attach(socket, session, role) {
+        const sessionId = session.session_id;
+        const { userId } = socket.data.user;
+        setRole(sessionId, userId, role);
+
+        socket.join(sessionId);
+        socket.data.sessionIds = socket.data.sessionIds || new Set();
+        socket.data.sessionIds.add(sessionId);
+        if (!connected.has(sessionId)) connected.set(sessionId, new Map());
+        const users = connected.get(sessionId);
+        if (!users.has(userId)) users.set(userId, new Set());
+        const wasOnline = users.get(userId).size > 0;
+        users.get(userId).add(socket.id);
+
+        const key = seatKey(sessionId, userId);
+        const seat = heldSeats.get(key);
+        if (seat) {
+            clearTimeout(seat.timer);
+            heldSeats.delete(key);
+        }
+        await storage.sessions.setPresence(sessionId, userId, 'online');
+        return { resumed: Boolean(seat), wasOnline, missed: seat && !seat.overflowed ? seat.missed : null };
+    }
+
+    // Called on disconnect. A player whose last socket in a session drops keeps
+    // their seat for the grace period before being marked offline.
+    async function detach(socket) {
+        if (closing) return;
+        const { userId, username } = socket.data.user;
+        for (const sessionId of socket.data.sessionIds ?? []) {
+            const sockets = socketsOf(sessionId, userId);
+            sockets.delete(socket.id);
+            if (sockets.size > 0) continue;
+            connected.get(sessionId)?.delete(userId);
+
+            const expiresAt = new Date(Date.now() + graceMs);
+            await storage.sessions.setPresence(sessionId, userId, 'away');
+            // They reconnected while 'away' was being written, and attach()'s 'online'
+            // may have landed first; write it again so the stored presence is right
+            if (socketsOf(sessionId, userId).size > 0) {
+                await storage.sessions.setPresence(sessionId, userId, 'online');
+                continue;
+            }
+            broadcast(sessionId, 'server:playerLeft', { sessionId, userId, username, status: 'away', seatHeldUntil: expiresAt });
+
+            const seat = { sessionId, userId, expiresAt, missed: [], overflowed: false };
+            seat.timer = setTimeout(() => releaseSeat(sessionId, userId, username), graceMs);
+            heldSeats.set(seatKey(sessionId, userId), seat);
+        }
+    }
+
+    async function releaseSeat(sessionId, userId, username) {
+        heldSeats.delete(seatKey(sessionId, userId));
+        try {
+            if (socketsOf(sessionId, userId).size > 0) return;
+            await storage.sessions.setPresence(sessionId, userId, 'offline');
+            // Same race as in detach()
+            if (socketsOf(sessionId, userId).size > 0) {
+                await storage.sessions.setPresence(sessionId, userId, 'online');
+                return;
+            }
+            broadcast(sessionId, 'server:playerLeft', { sessionId, userId, username, status: 'offline', seatHeldUntil: null });
+        } catch (err) {
+            logger.error('Error releasing seat', { sessionId, userId, err });
+        }
+    }
+
+    // Emits to every socket one user has in the session; nothing is queued
+    function sendToUser(sessionId, userId, event, payload) {
+        socketsOf(Number(sessionId), userId).forEach(id => io.to(id).emit(event, payload));
+    }
+
+    // Removes a kicked member's sockets from the room and forgets their seat
+    function kick(sessionId, userId) {
+        const room = Number(sessionId);
+        const member = Number(userId);
+        for (const id of socketsOf(room, member)) {
+            const socket = io.sockets.sockets.get(id);
+            if (!socket) continue;
+            socket.leave(room);
+            socket.data.sessionIds?.delete(room);
+            socket.emit('server:kicked', { sessionId: room });
+        }
+        connected.get(room)?.delete(member);
+        const seat = heldSeats.get(seatKey(room, member));
+        if (seat) {
+            clearTimeout(seat.timer);
+            heldSeats.delete(seatKey(room, member));
+        }
+        roles.get(room)?.delete(member);
+    }
+
+    // Sockets browsing the session list share one room, outside any session
+    function joinLobby(socket) {
+        socket.join(LOBBY_ROOM);
+    }
+
+    function leaveLobby(socket) {
+        socket.leave(LOBBY_ROOM);
+    }
+
+    function broadcastLobby(event, payload) {
+        io.to(LOBBY_ROOM).emit(event, payload);
+    }
+
+    // On shutdown: forgets held seats without marking anyone away or offline,
+    // since presence is reset when the server next starts anyway
+    function close() {
+        closing = true;
+        for (const seat of heldSeats.values()) clearTimeout(seat.timer);
+        heldSeats.clear();
+    }
+
+    return { broadcast, currentSeq, sendToUser, attach, detach, kick, setRole, roster, rosterEntry, joinLobby, leaveLobby, broadcastLobby, close };
+}
+
+module.exports = { createSessionHub };
@@ -0,0 +1,131 @@
+// server/socket/turnHandlers.js
+const { GameError } = require('../errors');
+const { startTurns, advancePhase, reorderTurns, activeUserId, toPublicTurn } = require('../game/turns');
+const { applyTurnEffects } = require('./combatHandlers');
+const { takesTurns } = require('../game/roles');
+const { changeSessionStatus, announceSessionStatus } = require('../services/sessionLobby');
+const { sessionTransaction } = require('../services/sessionHistory');
+const { loadActor } = require('./sessionGuards');
+const { rejectAction } = require('./rejectAction');
+
+// Spectators watch; everyone else takes turns
+async function turnTakerIds(storage, session) {
+    const players = await storage.sessions.listPlayers(session.session_id);
+    return players.filter(p => takesTurns(session, p)).map(p => p.user_id);
+}
+
+// Every turn boundary gets a combat_log entry naming whose turn it now is
+async function logTurnStart(storage, sessionId, turn) {
+    const userId = activeUserId(turn);
+    const user = await storage.users.findById(userId);
+    await storage.combatLog.add({
+        sessionId,
+        userId,
+        actionType: 'Turn Started',
+        actionDescription: `Round ${turn.round}: ${user?.username ?? `user ${userId}`}'s turn`
+    });
+}
+
+function registerTurnHandlers(io, socket, storage, hub) {
+    const { userId: user_id, username } = socket.data.user;
+    const log = socket.data.log;
+
+    // GM starts turns, by default in the order players joined. This is what takes
+    // the session out of the lobby.
+    socket.on('client:startTurns', async ({ sessionId, order }) => {
+        log.debug('client:startTurns received', { sessionId });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:startTurns');
+
+            const { turn, started } = await sessionTransaction(storage, session.session_id, async tx => {
+                const memberIds = await turnTakerIds(tx, session);
+                let turn = startTurns(await tx.turns.get(session.session_id), memberIds);
+                // A given order starts with its own first player
+                if (order) {
+                    turn = { ...reorderTurns(turn, order, memberIds), turnIndex: 0 };
+                }
+                await tx.turns.save(session.session_id, turn);
+                const { status } = await tx.sessions.findById(session.session_id);
+                const started = status === 'lobby'
+                    ? await changeSessionStatus(tx, session.session_id, 'in_progress', socket.data.user)
+                    : null;
+                await logTurnStart(tx, session.session_id, turn);
+                return { turn, started };
+            });
+
+            if (started) await announceSessionStatus(storage, hub, started);
+            hub.broadcast(session.session_id, 'server:turnChanged', toPublicTurn(session.session_id, turn));
+            hub.broadcast(session.session_id, 'server:phaseChanged', toPublicTurn(session.session_id, turn));
+            log.info('Turns started', { sessionId: session.session_id });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:startTurns', err);
+            log.error('Error starting turns', { sessionId, err });
+            socket.emit('error', 'Failed to start turns. See server logs for details.');
+        }
+    });
+
+    // The GM, or the acting player finishing their phase, moves the game on
+    socket.on('client:advancePhase', async ({ sessionId }) => {
+        log.debug('client:advancePhase received', { sessionId });
+
+        try {
+            const { session, role } = await loadActor(storage, sessionId, user_id, 'client:advancePhase');
+
+            // Effects ticking at the turn boundary are part of the same transaction
+            const { turn, turnChanged, ticks } = await sessionTransaction(storage, session.session_id, async tx => {
+                const current = await tx.turns.get(session.session_id);
+                if (role !== 'gm' && activeUserId(current) !== user_id) {
+                    throw new GameError('NOT_YOUR_TURN', 'Only the GM or the acting player can advance the phase.', { activeUserId: activeUserId(current) });
+                }
+
+                const { turn, turnChanged } = advancePhase(current);
+                await tx.turns.save(session.session_id, turn);
+                if (!turnChanged) return { turn, turnChanged, ticks: [] };
+
+                await logTurnStart(tx, session.session_id, turn);
+                const ticks = await applyTurnEffects(tx, session.session_id, activeUserId(current), activeUserId(turn));
+                return { turn, turnChanged, ticks };
+            });
+
+            if (turnChanged) {
+                hub.broadcast(session.session_id, 'server:turnChanged', toPublicTurn(session.session_id, turn));
+                ticks.forEach(tick => hub.broadcast(session.session_id, 'server:combatResolved', tick));
+            }
+            hub.broadcast(session.session_id, 'server:phaseChanged', toPublicTurn(session.session_id, turn));
+            log.debug('Phase advanced', { sessionId: session.session_id, round: turn.round, phase: turn.phase });
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:advancePhase', err);
+            log.error('Error advancing phase', { sessionId, err });
+            socket.emit('error', 'Failed to advance phase. See server logs for details.');
+        }
+    });
+
+    socket.on('client:reorderTurns', async ({ sessionId, order }) => {
+        log.debug('client:reorderTurns received', { sessionId });
+
+        try {
+            const { session } = await loadActor(storage, sessionId, user_id, 'client:reorderTurns');
+
+            const turn = await sessionTransaction(storage, session.session_id, async tx => {
+                const reordered = reorderTurns(await tx.turns.get(session.session_id), order || [], await turnTakerIds(tx, session));
+                await tx.turns.save(session.session_id, reordered);
+                await tx.combatLog.add({
+                    sessionId: session.session_id,
+                    userId: user_id,
+                    actionType: 'Turns Reordered',
+                    actionDescription: `${username} changed the turn order`
+                });
+                return reordered;
+            });
+
+            hub.broadcast(session.session_id, 'server:turnChanged', toPublicTurn(session.session_id, turn));
+        } catch (err) {
+            if (err instanceof GameError) return rejectAction(socket, 'client:reorderTurns', err);
+            log.error('Error reordering turns', { sessionId, err });
+            socket.emit('error', 'Failed to reorder turns. See server logs for details.');
+        }
+    });
+}
+
+module.exports = { registerTurnHandlers, logTurnStart };
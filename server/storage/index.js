@@ -0,0 +1,20 @@
+// server/storage/index.js
+// Picks the storage driver from STORAGE_DRIVER: 'mysql' (default) or 'memory'
+// for running the server and its handlers without a database.
+const { createMysqlStorage } = require('./mysql');
+const { createMemoryStorage } = require('./memory');
+
+const DRIVERS = {
+    mysql: createMysqlStorage,
+    memory: createMemoryStorage
+};
+
+function createStorage(driver = process.env.STORAGE_DRIVER || 'mysql') {
+    const factory = DRIVERS[driver];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected one of: ${Object.keys(DRIVERS).join(', ')}.`);
+    }
+    return factory();
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,72 @@
+// server/storage/memory/CardRepo.js
+
+class CardRepo {
+    constructor(store) {
+        this.store = store;
+    }
+
+    async findById(cardId) {
+        return this.store.get('cards', cardId);
+    }
+
+    async search({ type, heroClass, heroRole, minPower, maxPower, query, afterId = 0, limit = 50 } = {}) {
+        const needle = query ? query.toLowerCase() : null;
+        return this.store.find('cards', c =>
+            !c.deleted_at &&
+            c.card_id > afterId &&
+            (!type || c.card_type === type) &&
+            (!heroClass || c.card_hero_class === heroClass) &&
+            (!heroRole || c.card_hero_role === heroRole) &&
+            (minPower === undefined || (c.power_level !== null && c.power_level >= minPower)) &&
+            (maxPower === undefined || (c.power_level !== null && c.power_level <= maxPower)) &&
+            (!needle || `${c.card_name} ${c.description || ''}`.toLowerCase().includes(needle))
+        )
+            .sort((a, b) => a.card_id - b.card_id)
+            .slice(0, limit);
+    }
+
+    async create(fields, authorUserId = null) {
+        const now = new Date();
+        return this.store.insert('cards', {
+            is_active: 0,
+            ...fields,
+            author_user_id: authorUserId,
+            version: 1,
+            created_at: now,
+            updated_at: now,
+            deleted_at: null
+        });
+    }
+
+    // Memory transactions already run one at a time
+    async lock(cardId) {
+        return this.findById(cardId);
+    }
+
+    async update(cardId, fields, editorUserId) {
+        const current = this.store.get('cards', cardId);
+        this.store.insert('card_versions', {
+            card_id: current.card_id,
+            version: current.version,
+            snapshot: current,
+            edited_by_user_id: editorUserId,
+            created_at: new Date()
+        });
+        this.store.update('cards', cardId, { ...fields, version: current.version + 1, updated_at: new Date() });
+        return this.findById(cardId);
+    }
+
+    async softDelete(cardId) {
+        const current = this.store.get('cards', cardId);
+        if (!current || current.deleted_at) return false;
+        return this.store.update('cards', cardId, { deleted_at: new Date() });
+    }
+
+    async listVersions(cardId) {
+        return this.store.find('card_versions', v => v.card_id === Number(cardId))
+            .sort((a, b) => b.version - a.version)
+            .map(({ card_version_id, ...version }) => version);
+    }
+}
+
+module.exports = CardRepo;
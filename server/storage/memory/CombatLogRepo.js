@@ -0,0 +1,26 @@
+// server/storage/memory/CombatLogRepo.js
+
+class CombatLogRepo {
+    constructor(store) {
+        this.store = store;
+    }
+
+    async add({ sessionId, userId, cardId = null, actionType, actionDescription }) {
+        const row = this.store.insert('combat_log', {
+            session_id: Number(sessionId),
+            user_id: userId,
+            card_id: cardId,
+            action_type: actionType,
+            action_description: actionDescription,
+            action_timestamp: new Date()
+        });
+        return row.log_id;
+    }
+
+    // Insertion order doubles as timestamp order
+    async listBySession(sessionId) {
+        return this.store.find('combat_log', log => log.session_id === Number(sessionId));
+    }
+}
+
+module.exports = CombatLogRepo;
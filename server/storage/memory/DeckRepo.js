@@ -0,0 +1,54 @@
+// server/storage/memory/DeckRepo.js
+// The card list is kept as an array on the decks row instead of a deck_cards table.
+const { duplicateKeyError } = require('./MemoryStore');
+
+class DeckRepo {
+    constructor(store) {
+        this.store = store;
+    }
+
+    toDeck(row) {
+        return { ...row, cards: row.cards.map(c => ({ ...c })) };
+    }
+
+    async findById(deckId) {
+        const row = this.store.get('decks', deckId);
+        return row ? this.toDeck(row) : null;
+    }
+
+    async listByUser(userId) {
+        return this.store.find('decks', d => d.user_id === Number(userId))
+            .sort((a, b) => a.deck_name.localeCompare(b.deck_name))
+            .map(d => ({ ...this.toDeck(d), card_count: d.cards.reduce((sum, c) => sum + c.quantity, 0) }));
+    }
+
+    async create({ userId, deckName, cards }) {
+        if (this.store.findOne('decks', d => d.user_id === Number(userId) && d.deck_name === deckName)) {
+            throw duplicateKeyError(`Duplicate deck name: ${deckName}`);
+        }
+        const now = new Date();
+        const row = this.store.insert('decks', {
+            user_id: Number(userId),
+            deck_name: deckName,
+            cards: cards.map(c => ({ card_id: c.cardId, quantity: c.quantity })),
+            created_at: now,
+            updated_at: now
+        });
+        return this.toDeck(row);
+    }
+
+    async update(deckId, { deckName, cards }) {
+        this.store.update('decks', deckId, {
+            deck_name: deckName,
+            cards: cards.map(c => ({ card_id: c.cardId, quantity: c.quantity })),
+            updated_at: new Date()
+        });
+        return this.findById(deckId);
+    }
+
+    async delete(deckId) {
+        return this.store.delete('decks', deckId);
+    }
+}
+
+module.exports = DeckRepo;
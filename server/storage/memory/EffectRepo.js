@@ -0,0 +1,50 @@
+// server/storage/memory/EffectRepo.js
+
+class EffectRepo {
+    constructor(store) {
+        this.store = store;
+    }
+
+    async add({ sessionId, sourcePlayerCardId = null, targetPlayerCardId, effectName, effectType, amount, remainingTurns }) {
+        const row = this.store.insert('card_effects', {
+            session_id: Number(sessionId),
+            source_player_card_id: sourcePlayerCardId,
+            target_player_card_id: targetPlayerCardId,
+            effect_name: effectName,
+            effect_type: effectType,
+            amount,
+            remaining_turns: remainingTurns,
+            event_seq: null,
+            created_at: new Date()
+        });
+        return row.effect_id;
+    }
+
+    async listBySession(sessionId) {
+        return this.store.find('card_effects', e => e.session_id === Number(sessionId));
+    }
+
+    async setRemainingTurns(effectId, remainingTurns) {
+        this.store.update('card_effects', effectId, { remaining_turns: remainingTurns });
+    }
+
+    async setEventSeq(effectIds, eventSeq) {
+        effectIds.forEach(effectId => this.store.update('card_effects', effectId, { event_seq: eventSeq }));
+    }
+
+    async remove(effectId) {
+        this.store.delete('card_effects', effectId);
+    }
+
+    async removeByTarget(targetPlayerCardId) {
+        this.store.find('card_effects', e => e.target_player_card_id === targetPlayerCardId)
+            .forEach(e => this.store.delete('card_effects', e.effect_id));
+    }
+
+    async removeByEvents(sessionId, seqs) {
+        this.store.find('card_effects', e => e.session_id === Number(sessionId) && seqs.includes(e.event_seq))
+            .forEach(e => this.store.delete('card_effects', e.effect_id));
+    }
+}
+
+module.exports = EffectRepo;
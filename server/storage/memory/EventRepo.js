@@ -0,0 +1,45 @@
+// server/storage/memory/EventRepo.js
+
+class EventRepo {
+    constructor(store) {
+        this.store = store;
+    }
+
+    async append({ sessionId, eventType, actorUserId = null, playerCardId = null, changes }) {
+        const session = this.store.get('game_sessions', sessionId);
+        const seq = (session.event_seq || 0) + 1;
+        this.store.update('game_sessions', sessionId, { event_seq: seq });
+        return this.store.insert('session_events', {
+            session_id: Number(sessionId),
+            seq,
+            event_type: eventType,
+            actor_user_id: actorUserId,
+            player_card_id: playerCardId,
+            changes: JSON.parse(JSON.stringify(changes)),
+            reverted_by_seq: null,
+            created_at: new Date()
+        });
+    }
+
+    async findBySeq(sessionId, seq) {
+        return this.store.findOne('session_events', e => e.session_id === Number(sessionId) && e.seq === Number(seq));
+    }
+
+    // Insertion order is seq order
+    async listBySession(sessionId, { toSeq = null } = {}) {
+        return this.store.find('session_events', e =>
+            e.session_id === Number(sessionId) && (toSeq === null || e.seq <= toSeq)
+        );
+    }
+
+    async lastSeq(sessionId) {
+        return this.store.get('game_sessions', sessionId)?.event_seq || 0;
+    }
+
+    async markReverted(sessionId, seqs, revertedBySeq) {
+        this.store.find('session_events', e => e.session_id === Number(sessionId) && seqs.includes(e.seq))
+            .forEach(e => this.store.update('session_events', e.event_id, { reverted_by_seq: revertedBySeq }));
+    }
+}
+
+module.exports = EventRepo;
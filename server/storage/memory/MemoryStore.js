@@ -0,0 +1,95 @@
+// server/storage/memory/MemoryStore.js
+// Plain in-process tables shared by the in-memory repos. Rows use the same
+// snake_case columns as the MySQL schema so callers can't tell the drivers apart.
+
+const PRIMARY_KEYS = {
+    users: 'user_id',
+    game_sessions: 'session_id',
+    player_sessions: 'player_session_id',
+    cards: 'card_id',
+    player_cards: 'player_card_id',
+    combat_log: 'log_id',
+    card_effects: 'effect_id',
+    decks: 'deck_id',
+    card_versions: 'card_version_id',
+    session_events: 'event_id'
+};
+
+class MemoryStore {
+    constructor() {
+        this.tables = {};
+        this.nextIds = {};
+        for (const table of Object.keys(PRIMARY_KEYS)) {
+            this.tables[table] = new Map();
+            this.nextIds[table] = 1;
+        }
+    }
+
+    insert(table, row) {
+        const id = this.nextIds[table]++;
+        const stored = { ...row, [PRIMARY_KEYS[table]]: id };
+        this.tables[table].set(id, stored);
+        return { ...stored };
+    }
+
+    // Stores a row under the id it already carries, e.g. to bring a deleted row back
+    put(table, row) {
+        const id = Number(row[PRIMARY_KEYS[table]]);
+        this.tables[table].set(id, { ...row, [PRIMARY_KEYS[table]]: id });
+        this.nextIds[table] = Math.max(this.nextIds[table], id + 1);
+    }
+
+    get(table, id) {
+        const row = this.tables[table].get(Number(id));
+        return row ? { ...row } : null;
+    }
+
+    // Merges `changes` into the stored row; returns false when the row doesn't exist
+    update(table, id, changes) {
+        const row = this.tables[table].get(Number(id));
+        if (!row) return false;
+        Object.assign(row, changes);
+        return true;
+    }
+
+    delete(table, id) {
+        return this.tables[table].delete(Number(id));
+    }
+
+    // Returns copies, so callers can't mutate stored rows by accident
+    find(table, predicate = () => true) {
+        const rows = [];
+        for (const row of this.tables[table].values()) {
+            if (predicate(row)) rows.push({ ...row });
+        }
+        return rows;
+    }
+
+    findOne(table, predicate) {
+        return this.find(table, predicate)[0] || null;
+    }
+
+    // Copies of every table, for rolling a failed transaction back with restore()
+    snapshot() {
+        const tables = {};
+        for (const [table, rows] of Object.entries(this.tables)) {
+            tables[table] = new Map([...rows].map(([id, row]) => [id, { ...row }]));
+        }
+        return { tables, nextIds: { ...this.nextIds } };
+    }
+
+    restore({ tables, nextIds }) {
+        this.tables = tables;
+        this.nextIds = nextIds;
+    }
+}
+
+// What a unique key violation looks like from mysql2, so callers can catch it the same way
+function duplicateKeyError(message) {
+    const err = new Error(message);
+    err.code = 'ER_DUP_ENTRY';
+    return err;
+}
+
+module.exports = MemoryStore;
+module.exports.duplicateKeyError = duplicateKeyError;
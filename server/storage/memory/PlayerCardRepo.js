@@ -0,0 +1,107 @@
+// server/storage/memory/PlayerCardRepo.js
+
+class PlayerCardRepo {
+    constructor(store) {
+        this.store = store;
+    }
+
+    // Mirrors `SELECT c.*, pc.*`: instance columns override the definition's
+    withCard(playerCard) {
+        const card = this.store.get('cards', playerCard.card_id);
+        return { ...card, ...playerCard };
+    }
+
+    // Writes `changes` and bumps the version, like every UPDATE in the MySQL repo
+    bump(playerCardId, changes) {
+        const row = this.store.get('player_cards', playerCardId);
+        return row ? this.store.update('player_cards', playerCardId, { ...changes, version: row.version + 1 }) : false;
+    }
+
+    async create({ userId, cardId, sessionId, location, slotId = null, deckPosition = null, isActive = false }) {
+        if (!this.store.get('cards', cardId)) {
+            throw new Error(`Card ${cardId} does not exist`);
+        }
+        const row = this.store.insert('player_cards', {
+            user_id: Number(userId),
+            card_id: Number(cardId),
+            session_id: Number(sessionId),
+            location,
+            slot_id: slotId,
+            deck_position: deckPosition,
+            is_active: isActive ? 1 : 0,
+            is_revealed: 0,
+            damage: 0,
+            version: 1
+        });
+        return this.withCard(row);
+    }
+
+    async findWithCard(playerCardId) {
+        const row = this.store.get('player_cards', playerCardId);
+        return row ? this.withCard(row) : null;
+    }
+
+    async listBySessionWithCards(sessionId) {
+        return this.store.find('player_cards', pc => pc.session_id === Number(sessionId))
+            .map(pc => this.withCard(pc));
+    }
+
+    async countByCard(cardId) {
+        return this.store.find('player_cards', pc => pc.card_id === Number(cardId)).length;
+    }
+
+    async listDeck(sessionId, userId) {
+        return this.store.find('player_cards', pc =>
+            pc.session_id === Number(sessionId) && pc.user_id === Number(userId) && pc.location === 'Deck'
+        )
+            .sort((a, b) => a.deck_position - b.deck_position || a.player_card_id - b.player_card_id)
+            .map(pc => this.withCard(pc));
+    }
+
+    async setDeckPositions(positions) {
+        positions.forEach(({ playerCardId, deckPosition }) => {
+            this.bump(playerCardId, { deck_position: deckPosition });
+        });
+    }
+
+    async updatePlacement({ playerCardId, userId, sessionId, location, slotId, deckPosition = null, isActive }) {
+        const row = this.store.get('player_cards', playerCardId);
+        if (!row || row.user_id !== Number(userId) || row.session_id !== Number(sessionId)) {
+            return false;
+        }
+        return this.bump(playerCardId, {
+            location,
+            slot_id: slotId,
+            deck_position: deckPosition,
+            is_active: isActive ? 1 : 0,
+            is_revealed: 0
+        });
+    }
+
+    async setDamage(playerCardId, damage) {
+        return this.bump(playerCardId, { damage });
+    }
+
+    async setRevealed(playerCardId, revealed) {
+        return this.bump(playerCardId, { is_revealed: revealed ? 1 : 0 });
+    }
+
+    async setState(playerCardId, { location, slot_id, deck_position, is_active, is_revealed, damage }) {
+        return this.bump(playerCardId, { location, slot_id, deck_position, is_active, is_revealed, damage });
+    }
+
+    async restore(playerCardId, sessionId, state) {
+        this.store.put('player_cards', { ...state, session_id: Number(sessionId), player_card_id: playerCardId, version: 1 });
+    }
+
+    // Mirrors the card_effects foreign keys: effects on the card go, effects it caused stay
+    async delete(playerCardId) {
+        const id = Number(playerCardId);
+        this.store.find('card_effects', e => e.target_player_card_id === id).forEach(e => this.store.delete('card_effects', e.effect_id));
+        this.store.find('card_effects', e => e.source_player_card_id === id)
+            .forEach(e => this.store.update('card_effects', e.effect_id, { source_player_card_id: null }));
+        return this.store.delete('player_cards', id);
+    }
+}
+
+module.exports = PlayerCardRepo;
@@ -0,0 +1,116 @@
+// server/storage/memory/SessionRepo.js
+const { duplicateKeyError } = require('./MemoryStore');
+
+class SessionRepo {
+    constructor(store) {
+        this.store = store;
+    }
+
+    async findById(sessionId) {
+        return this.store.get('game_sessions', sessionId);
+    }
+
+    async findByName(sessionName) {
+        return this.store.findOne('game_sessions', session => session.session_name === sessionName);
+    }
+
+    async create({ gmUserId, sessionName, rngSeed = null, rngState = null, maxPlayers = null, passwordHash = null, ruleset = null }) {
+        if (await this.findByName(sessionName)) {
+            throw duplicateKeyError(`Duplicate session name: ${sessionName}`);
+        }
+        return this.store.insert('game_sessions', {
+            gm_user_id: gmUserId,
+            session_name: sessionName,
+            turn_round: 0,
+            turn_index: 0,
+            turn_phase: null,
+            turn_order: [],
+            rng_seed: rngSeed,
+            rng_state: rngState,
+            status: 'lobby',
+            max_players: maxPlayers,
+            password_hash: passwordHash,
+            ruleset,
+            started_at: null,
+            finished_at: null,
+            archived_at: null,
+            event_seq: 0,
+            check_difficulty: null,
+            created_at: new Date()
+        });
+    }
+
+    async list({ statuses, includeArchived = false }) {
+        return this.store.find('game_sessions', s => statuses.includes(s.status) && (includeArchived || !s.archived_at))
+            .sort((a, b) => b.created_at - a.created_at || b.session_id - a.session_id);
+    }
+
+    async setStatus(sessionId, status) {
+        const stamp = { in_progress: { started_at: new Date() }, finished: { finished_at: new Date() } }[status] || {};
+        this.store.update('game_sessions', sessionId, { status, ...stamp });
+    }
+
+    async archive(sessionId) {
+        this.store.update('game_sessions', sessionId, { archived_at: new Date() });
+    }
+
+    // Memory transactions already run one at a time
+    async lock() {}
+
+    async updateRng(sessionId, { rngSeed, rngState }) {
+        this.store.update('game_sessions', sessionId, { rng_seed: rngSeed, rng_state: rngState });
+    }
+
+    async findPlayer(sessionId, userId) {
+        return this.store.findOne('player_sessions', ps => ps.session_id === Number(sessionId) && ps.user_id === Number(userId));
+    }
+
+    async addPlayer(sessionId, userId, role = 'player') {
+        if (await this.findPlayer(sessionId, userId)) {
+            throw new Error(`User ${userId} is already in session ${sessionId}`);
+        }
+        return this.store.insert('player_sessions', {
+            user_id: Number(userId),
+            session_id: Number(sessionId),
+            joined_at: new Date(),
+            role,
+            presence: 'offline',
+            last_seen_at: null
+        });
+    }
+
+    async setRole(sessionId, userId, role) {
+        const player = await this.findPlayer(sessionId, userId);
+        if (player) {
+            this.store.update('player_sessions', player.player_session_id, { role });
+        }
+    }
+
+    async setGm(sessionId, userId) {
+        this.store.update('game_sessions', sessionId, { gm_user_id: Number(userId) });
+    }
+
+    async setCheckDifficulty(sessionId, difficulty) {
+        this.store.update('game_sessions', sessionId, { check_difficulty: difficulty });
+    }
+
+    async setPresence(sessionId, userId, presence) {
+        const player = await this.findPlayer(sessionId, userId);
+        if (player) {
+            this.store.update('player_sessions', player.player_session_id, { presence, last_seen_at: new Date() });
+        }
+    }
+
+    async resetPresence() {
+        this.store.find('player_sessions', ps => ps.presence !== 'offline')
+            .forEach(ps => this.store.update('player_sessions', ps.player_session_id, { presence: 'offline' }));
+    }
+
+    async listPlayers(sessionId) {
+        return this.store.find('player_sessions', ps => ps.session_id === Number(sessionId))
+            .sort((a, b) => a.player_session_id - b.player_session_id)
+            .map(ps => ({ ...ps, username: this.store.get('users', ps.user_id)?.username }));
+    }
+}
+
+module.exports = SessionRepo;
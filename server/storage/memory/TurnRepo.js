@@ -0,0 +1,30 @@
+// server/storage/memory/TurnRepo.js
+// Keeps the turn order as an array on the game_sessions row instead of a separate table.
+
+class TurnRepo {
+    constructor(store) {
+        this.store = store;
+    }
+
+    async get(sessionId) {
+        const session = this.store.get('game_sessions', sessionId);
+        if (!session) return null;
+        return {
+            round: session.turn_round,
+            turnIndex: session.turn_index,
+            phase: session.turn_phase,
+            order: [...session.turn_order]
+        };
+    }
+
+    async save(sessionId, { round, turnIndex, phase, order }) {
+        this.store.update('game_sessions', sessionId, {
+            turn_round: round,
+            turn_index: turnIndex,
+            turn_phase: phase,
+            turn_order: [...order]
+        });
+    }
+}
+
+module.exports = TurnRepo;
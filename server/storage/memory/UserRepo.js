@@ -0,0 +1,25 @@
+// server/storage/memory/UserRepo.js
+const { duplicateKeyError } = require('./MemoryStore');
+
+class UserRepo {
+    constructor(store) {
+        this.store = store;
+    }
+
+    async findById(userId) {
+        return this.store.get('users', userId);
+    }
+
+    async findByUsername(username) {
+        return this.store.findOne('users', user => user.username === username);
+    }
+
+    async create({ username, passwordHash = null }) {
+        if (await this.findByUsername(username)) {
+            throw duplicateKeyError(`Duplicate username: ${username}`);
+        }
+        return this.store.insert('users', { username, password_hash: passwordHash, created_at: new Date() });
+    }
+}
+
+module.exports = UserRepo;
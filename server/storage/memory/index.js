@@ -0,0 +1,68 @@
+// server/storage/memory/index.js
+const MemoryStore = require('./MemoryStore');
+const UserRepo = require('./UserRepo');
+const SessionRepo = require('./SessionRepo');
+const CardRepo = require('./CardRepo');
+const PlayerCardRepo = require('./PlayerCardRepo');
+const CombatLogRepo = require('./CombatLogRepo');
+const TurnRepo = require('./TurnRepo');
+const EffectRepo = require('./EffectRepo');
+const DeckRepo = require('./DeckRepo');
+const EventRepo = require('./EventRepo');
+const starterCards = require('../../db/seeds/starterCards');
+const { validateCard } = require('../../game/cardSchema');
+
+// Everything lives in this process and is lost on restart. Starts out with the
+// starter card library so a fresh dev server has something to play with.
+function createMemoryStorage() {
+    const store = new MemoryStore();
+    const repos = {
+        users: new UserRepo(store),
+        sessions: new SessionRepo(store),
+        cards: new CardRepo(store),
+        playerCards: new PlayerCardRepo(store),
+        combatLog: new CombatLogRepo(store),
+        turns: new TurnRepo(store),
+        effects: new EffectRepo(store),
+        decks: new DeckRepo(store),
+        events: new EventRepo(store)
+    };
+    starterCards.forEach(card => repos.cards.create(validateCard(card)));
+    // What transaction callbacks get; transactions started from it join the one in progress
+    const tx = { ...repos, transaction: fn => fn(tx) };
+
+    // Transactions run one at a time and a failed one puts every table back as it
+    // found them. Writes made outside a transaction while one runs would be lost
+    // on rollback, which is fine for a single dev server.
+    let queue = Promise.resolve();
+
+    return {
+        driver: 'memory',
+        store,
+        ...repos,
+
+        transaction(fn) {
+            const run = queue.then(async () => {
+                const snapshot = store.snapshot();
+                try {
+                    return await fn(tx);
+                } catch (err) {
+                    store.restore(snapshot);
+                    throw err;
+                }
+            });
+            queue = run.catch(() => {});
+            return run;
+        },
+
+        async ping() {},
+        async connect() {},
+
+        // Waits for queued transactions, like the MySQL driver's close()
+        async close() {
+            await queue;
+        }
+    };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,83 @@
+// server/storage/mysql/CardRepo.js
+
+class CardRepo {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    // Includes soft-deleted definitions, since existing instances still point at them
+    async findById(cardId) {
+        const [rows] = await this.pool.query('SELECT * FROM cards WHERE card_id = ?', [cardId]);
+        return rows[0] || null;
+    }
+
+    // Live definitions matching the filters, in card_id order after `afterId`
+    async search({ type, heroClass, heroRole, minPower, maxPower, query, afterId = 0, limit = 50 } = {}) {
+        const where = ['deleted_at IS NULL', 'card_id > ?'];
+        const params = [afterId];
+        if (type) { where.push('card_type = ?'); params.push(type); }
+        if (heroClass) { where.push('card_hero_class = ?'); params.push(heroClass); }
+        if (heroRole) { where.push('card_hero_role = ?'); params.push(heroRole); }
+        if (minPower !== undefined) { where.push('power_level >= ?'); params.push(minPower); }
+        if (maxPower !== undefined) { where.push('power_level <= ?'); params.push(maxPower); }
+        if (query) {
+            where.push('(card_name LIKE ? OR description LIKE ?)');
+            params.push(`%${query}%`, `%${query}%`);
+        }
+
+        const [rows] = await this.pool.query(
+            `SELECT * FROM cards WHERE ${where.join(' AND ')} ORDER BY card_id ASC LIMIT ?`,
+            [...params, limit]
+        );
+        return rows;
+    }
+
+    // `fields` is a plain object of cards columns to values
+    async create(fields, authorUserId = null) {
+        const columns = Object.keys(fields);
+        const [result] = await this.pool.query(
+            `INSERT INTO cards (author_user_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+            [authorUserId, ...columns.map(column => fields[column])]
+        );
+        return this.findById(result.insertId);
+    }
+
+    // Inside a transaction, reads the definition and holds its row until commit
+    async lock(cardId) {
+        const [rows] = await this.pool.query('SELECT * FROM cards WHERE card_id = ? FOR UPDATE', [cardId]);
+        return rows[0] || null;
+    }
+
+    // Snapshots the current version into card_versions, then applies `fields` as
+    // the next version. Call it inside a transaction so the row is locked from the
+    // read to the update.
+    async update(cardId, fields, editorUserId) {
+        const current = await this.lock(cardId);
+        await this.pool.query(
+            'INSERT INTO card_versions (card_id, version, snapshot, edited_by_user_id) VALUES (?, ?, ?, ?)',
+            [cardId, current.version, JSON.stringify(current), editorUserId]
+        );
+
+        const columns = Object.keys(fields);
+        await this.pool.query(
+            `UPDATE cards SET ${columns.map(column => `${column} = ?`).join(', ')}, version = version + 1 WHERE card_id = ?`,
+            [...columns.map(column => fields[column]), cardId]
+        );
+        return this.findById(cardId);
+    }
+
+    async softDelete(cardId) {
+        const [result] = await this.pool.query('UPDATE cards SET deleted_at = CURRENT_TIMESTAMP WHERE card_id = ? AND deleted_at IS NULL', [cardId]);
+        return result.affectedRows > 0;
+    }
+
+    async listVersions(cardId) {
+        const [rows] = await this.pool.query(
+            'SELECT version, snapshot, edited_by_user_id, created_at FROM card_versions WHERE card_id = ? ORDER BY version DESC',
+            [cardId]
+        );
+        return rows.map(row => ({ ...row, snapshot: typeof row.snapshot === 'string' ? JSON.parse(row.snapshot) : row.snapshot }));
+    }
+}
+
+module.exports = CardRepo;
@@ -0,0 +1,25 @@
+// server/storage/mysql/CombatLogRepo.js
+
+class CombatLogRepo {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async add({ sessionId, userId, cardId = null, actionType, actionDescription }) {
+        const [result] = await this.pool.query(
+            'INSERT INTO combat_log (session_id, user_id, card_id, action_type, action_description) VALUES (?, ?, ?, ?, ?)',
+            [sessionId, userId, cardId, actionType, actionDescription]
+        );
+        return result.insertId;
+    }
+
+    async listBySession(sessionId) {
+        const [rows] = await this.pool.query(
+            'SELECT * FROM combat_log WHERE session_id = ? ORDER BY action_timestamp ASC, log_id ASC',
+            [sessionId]
+        );
+        return rows;
+    }
+}
+
+module.exports = CombatLogRepo;
@@ -0,0 +1,58 @@
+// server/storage/mysql/DeckRepo.js
+// Decks come back as decks rows with a `cards` array of { card_id, quantity }.
+
+class DeckRepo {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async findById(deckId) {
+        const [rows] = await this.pool.query('SELECT * FROM decks WHERE deck_id = ?', [deckId]);
+        if (rows.length === 0) return null;
+        const [cards] = await this.pool.query(
+            'SELECT card_id, quantity FROM deck_cards WHERE deck_id = ? ORDER BY card_id ASC',
+            [deckId]
+        );
+        return { ...rows[0], cards };
+    }
+
+    async listByUser(userId) {
+        const [rows] = await this.pool.query(
+            `SELECT d.*, COALESCE(SUM(dc.quantity), 0) AS card_count
+             FROM decks d
+             LEFT JOIN deck_cards dc ON dc.deck_id = d.deck_id
+             WHERE d.user_id = ?
+             GROUP BY d.deck_id
+             ORDER BY d.deck_name ASC`,
+            [userId]
+        );
+        return rows.map(row => ({ ...row, card_count: Number(row.card_count) }));
+    }
+
+    async create({ userId, deckName, cards }) {
+        const [result] = await this.pool.query('INSERT INTO decks (user_id, deck_name) VALUES (?, ?)', [userId, deckName]);
+        await this.replaceCards(result.insertId, cards);
+        return this.findById(result.insertId);
+    }
+
+    async update(deckId, { deckName, cards }) {
+        await this.pool.query('UPDATE decks SET deck_name = ? WHERE deck_id = ?', [deckName, deckId]);
+        await this.replaceCards(deckId, cards);
+        return this.findById(deckId);
+    }
+
+    async delete(deckId) {
+        const [result] = await this.pool.query('DELETE FROM decks WHERE deck_id = ?', [deckId]);
+        return result.affectedRows > 0;
+    }
+
+    async replaceCards(deckId, cards) {
+        await this.pool.query('DELETE FROM deck_cards WHERE deck_id = ?', [deckId]);
+        await this.pool.query(
+            'INSERT INTO deck_cards (deck_id, card_id, quantity) VALUES ?',
+            [cards.map(c => [deckId, c.cardId, c.quantity])]
+        );
+    }
+}
+
+module.exports = DeckRepo;
@@ -0,0 +1,44 @@
+// server/storage/mysql/EffectRepo.js
+
+class EffectRepo {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async add({ sessionId, sourcePlayerCardId = null, targetPlayerCardId, effectName, effectType, amount, remainingTurns }) {
+        const [result] = await this.pool.query(
+            `INSERT INTO card_effects
+                (session_id, source_player_card_id, target_player_card_id, effect_name, effect_type, amount, remaining_turns)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [sessionId, sourcePlayerCardId, targetPlayerCardId, effectName, effectType, amount, remainingTurns]
+        );
+        return result.insertId;
+    }
+
+    async listBySession(sessionId) {
+        const [rows] = await this.pool.query('SELECT * FROM card_effects WHERE session_id = ? ORDER BY effect_id ASC', [sessionId]);
+        return rows;
+    }
+
+    async setRemainingTurns(effectId, remainingTurns) {
+        await this.pool.query('UPDATE card_effects SET remaining_turns = ? WHERE effect_id = ?', [remainingTurns, effectId]);
+    }
+
+    async setEventSeq(effectIds, eventSeq) {
+        await this.pool.query('UPDATE card_effects SET event_seq = ? WHERE effect_id IN (?)', [eventSeq, effectIds]);
+    }
+
+    async remove(effectId) {
+        await this.pool.query('DELETE FROM card_effects WHERE effect_id = ?', [effectId]);
+    }
+
+    async removeByTarget(targetPlayerCardId) {
+        await this.pool.query('DELETE FROM card_effects WHERE target_player_card_id = ?', [targetPlayerCardId]);
+    }
+
+    async removeByEvents(sessionId, seqs) {
+        await this.pool.query('DELETE FROM card_effects WHERE session_id = ? AND event_seq IN (?)', [sessionId, seqs]);
+    }
+}
+
+module.exports = EffectRepo;
@@ -0,0 +1,58 @@
+// server/storage/mysql/EventRepo.js
+// session_events rows come back with `changes` parsed.
+
+function parseEvent(row) {
+    return { ...row, changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes };
+}
+
+class EventRepo {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    // Takes the session's next sequence number. The UPDATE locks the session row,
+    // so inside a transaction concurrent appends to one session queue up behind it.
+    async append({ sessionId, eventType, actorUserId = null, playerCardId = null, changes }) {
+        const [counter] = await this.pool.query(
+            'UPDATE game_sessions SET event_seq = LAST_INSERT_ID(event_seq + 1) WHERE session_id = ?',
+            [sessionId]
+        );
+        const seq = counter.insertId;
+        await this.pool.query(
+            `INSERT INTO session_events (session_id, seq, event_type, actor_user_id, player_card_id, changes)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [sessionId, seq, eventType, actorUserId, playerCardId, JSON.stringify(changes)]
+        );
+        return this.findBySeq(sessionId, seq);
+    }
+
+    async findBySeq(sessionId, seq) {
+        const [rows] = await this.pool.query('SELECT * FROM session_events WHERE session_id = ? AND seq = ?', [sessionId, seq]);
+        return rows[0] ? parseEvent(rows[0]) : null;
+    }
+
+    // In seq order, optionally only up to `toSeq`
+    async listBySession(sessionId, { toSeq = null } = {}) {
+        const [rows] = await this.pool.query(
+            `SELECT * FROM session_events
+             WHERE session_id = ? ${toSeq === null ? '' : 'AND seq <= ?'}
+             ORDER BY seq ASC`,
+            toSeq === null ? [sessionId] : [sessionId, toSeq]
+        );
+        return rows.map(parseEvent);
+    }
+
+    async lastSeq(sessionId) {
+        const [rows] = await this.pool.query('SELECT event_seq FROM game_sessions WHERE session_id = ?', [sessionId]);
+        return rows[0]?.event_seq ?? 0;
+    }
+
+    async markReverted(sessionId, seqs, revertedBySeq) {
+        await this.pool.query(
+            'UPDATE session_events SET reverted_by_seq = ? WHERE session_id = ? AND seq IN (?)',
+            [revertedBySeq, sessionId, seqs]
+        );
+    }
+}
+
+module.exports = EventRepo;
@@ -0,0 +1,103 @@
+// server/storage/mysql/PlayerCardRepo.js
+
+// c.* first so the instance's own columns (is_active in particular) win over the definition's
+const SELECT_WITH_CARD = `SELECT c.*, pc.*
+     FROM player_cards pc
+     JOIN cards c ON pc.card_id = c.card_id`;
+
+// Every UPDATE bumps version, which clients echo back to show which state they acted on
+class PlayerCardRepo {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async create({ userId, cardId, sessionId, location, slotId = null, deckPosition = null, isActive = false }) {
+        const [result] = await this.pool.query(
+            'INSERT INTO player_cards (user_id, card_id, session_id, location, slot_id, deck_position, is_active) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [userId, cardId, sessionId, location, slotId, deckPosition, isActive]
+        );
+        return this.findWithCard(result.insertId);
+    }
+
+    async findWithCard(playerCardId) {
+        const [rows] = await this.pool.query(`${SELECT_WITH_CARD} WHERE pc.player_card_id = ?`, [playerCardId]);
+        return rows[0] || null;
+    }
+
+    async listBySessionWithCards(sessionId) {
+        const [rows] = await this.pool.query(`${SELECT_WITH_CARD} WHERE pc.session_id = ?`, [sessionId]);
+        return rows;
+    }
+
+    // Instances of a definition across every session, finished ones included
+    async countByCard(cardId) {
+        const [rows] = await this.pool.query('SELECT COUNT(*) AS count FROM player_cards WHERE card_id = ?', [cardId]);
+        return Number(rows[0].count);
+    }
+
+    // A player's draw pile, top card first
+    async listDeck(sessionId, userId) {
+        const [rows] = await this.pool.query(
+            `${SELECT_WITH_CARD} WHERE pc.session_id = ? AND pc.user_id = ? AND pc.location = 'Deck'
+             ORDER BY pc.deck_position ASC, pc.player_card_id ASC`,
+            [sessionId, userId]
+        );
+        return rows;
+    }
+
+    async setDeckPositions(positions) {
+        for (const { playerCardId, deckPosition } of positions) {
+            await this.pool.query('UPDATE player_cards SET deck_position = ?, version = version + 1 WHERE player_card_id = ?', [deckPosition, playerCardId]);
+        }
+    }
+
+    // Only touches the row when it belongs to the given user and session; returns whether it did
+    // A reveal only lasts until the card next moves
+    async updatePlacement({ playerCardId, userId, sessionId, location, slotId, deckPosition = null, isActive }) {
+        const [result] = await this.pool.query(
+            `UPDATE player_cards
+             SET location = ?, slot_id = ?, deck_position = ?, is_active = ?, is_revealed = 0, version = version + 1
+             WHERE player_card_id = ? AND user_id = ? AND session_id = ?`,
+            [location, slotId, deckPosition, isActive, playerCardId, userId, sessionId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    async setDamage(playerCardId, damage) {
+        const [result] = await this.pool.query('UPDATE player_cards SET damage = ?, version = version + 1 WHERE player_card_id = ?', [damage, playerCardId]);
+        return result.affectedRows > 0;
+    }
+
+    async setRevealed(playerCardId, revealed) {
+        const [result] = await this.pool.query('UPDATE player_cards SET is_revealed = ?, version = version + 1 WHERE player_card_id = ?', [revealed ? 1 : 0, playerCardId]);
+        return result.affectedRows > 0;
+    }
+
+    // Puts back a state recorded in session history (see game/history.js cardState)
+    async setState(playerCardId, { location, slot_id, deck_position, is_active, is_revealed, damage }) {
+        const [result] = await this.pool.query(
+            `UPDATE player_cards
+             SET location = ?, slot_id = ?, deck_position = ?, is_active = ?, is_revealed = ?, damage = ?, version = version + 1
+             WHERE player_card_id = ?`,
+            [location, slot_id, deck_position, is_active, is_revealed, damage, playerCardId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Recreates an instance under its old id, when undoing its removal
+    async restore(playerCardId, sessionId, state) {
+        await this.pool.query(
+            `INSERT INTO player_cards (player_card_id, user_id, card_id, session_id, location, slot_id, deck_position, is_active, is_revealed, damage)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [playerCardId, state.user_id, state.card_id, sessionId, state.location, state.slot_id, state.deck_position, state.is_active, state.is_revealed, state.damage]
+        );
+    }
+
+    // Effects on the card go with it (ON DELETE CASCADE)
+    async delete(playerCardId) {
+        const [result] = await this.pool.query('DELETE FROM player_cards WHERE player_card_id = ?', [playerCardId]);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = PlayerCardRepo;
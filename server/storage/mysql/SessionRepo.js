@@ -0,0 +1,114 @@
+// server/storage/mysql/SessionRepo.js
+// Covers both game_sessions and the player_sessions membership table.
+
+class SessionRepo {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async findById(sessionId) {
+        const [rows] = await this.pool.query('SELECT * FROM game_sessions WHERE session_id = ?', [sessionId]);
+        return rows[0] || null;
+    }
+
+    async findByName(sessionName) {
+        const [rows] = await this.pool.query('SELECT * FROM game_sessions WHERE session_name = ?', [sessionName]);
+        return rows[0] || null;
+    }
+
+    async create({ gmUserId, sessionName, rngSeed = null, rngState = null, maxPlayers = null, passwordHash = null, ruleset = null }) {
+        const [result] = await this.pool.query(
+            `INSERT INTO game_sessions (gm_user_id, session_name, rng_seed, rng_state, max_players, password_hash, ruleset)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [gmUserId, sessionName, rngSeed, rngState, maxPlayers, passwordHash, ruleset && JSON.stringify(ruleset)]
+        );
+        return this.findById(result.insertId);
+    }
+
+    // Unarchived sessions in the given statuses, newest first
+    async list({ statuses, includeArchived = false }) {
+        const [rows] = await this.pool.query(
+            `SELECT * FROM game_sessions
+             WHERE status IN (?) ${includeArchived ? '' : 'AND archived_at IS NULL'}
+             ORDER BY created_at DESC, session_id DESC`,
+            [statuses]
+        );
+        return rows;
+    }
+
+    // Stamps started_at / finished_at as the session enters those states
+    async setStatus(sessionId, status) {
+        const stamp = { in_progress: ', started_at = CURRENT_TIMESTAMP', finished: ', finished_at = CURRENT_TIMESTAMP' }[status] || '';
+        await this.pool.query(`UPDATE game_sessions SET status = ?${stamp} WHERE session_id = ?`, [status, sessionId]);
+    }
+
+    async archive(sessionId) {
+        await this.pool.query('UPDATE game_sessions SET archived_at = CURRENT_TIMESTAMP WHERE session_id = ?', [sessionId]);
+    }
+
+    // Inside a transaction, holds the session row until commit so actions on one
+    // session run one after another
+    async lock(sessionId) {
+        await this.pool.query('SELECT session_id FROM game_sessions WHERE session_id = ? FOR UPDATE', [sessionId]);
+    }
+
+    async updateRng(sessionId, { rngSeed, rngState }) {
+        await this.pool.query(
+            'UPDATE game_sessions SET rng_seed = ?, rng_state = ? WHERE session_id = ?',
+            [rngSeed, rngState, sessionId]
+        );
+    }
+
+    async findPlayer(sessionId, userId) {
+        const [rows] = await this.pool.query(
+            'SELECT * FROM player_sessions WHERE user_id = ? AND session_id = ?',
+            [userId, sessionId]
+        );
+        return rows[0] || null;
+    }
+
+    async addPlayer(sessionId, userId, role = 'player') {
+        await this.pool.query('INSERT INTO player_sessions (user_id, session_id, role) VALUES (?, ?, ?)', [userId, sessionId, role]);
+        return this.findPlayer(sessionId, userId);
+    }
+
+    async setRole(sessionId, userId, role) {
+        await this.pool.query('UPDATE player_sessions SET role = ? WHERE session_id = ? AND user_id = ?', [role, sessionId, userId]);
+    }
+
+    async setGm(sessionId, userId) {
+        await this.pool.query('UPDATE game_sessions SET gm_user_id = ? WHERE session_id = ?', [userId, sessionId]);
+    }
+
+    async setCheckDifficulty(sessionId, difficulty) {
+        await this.pool.query('UPDATE game_sessions SET check_difficulty = ? WHERE session_id = ?', [difficulty, sessionId]);
+    }
+
+    // presence is 'online', 'away' (dropped but within the reconnect grace period) or 'offline'
+    async setPresence(sessionId, userId, presence) {
+        await this.pool.query(
+            'UPDATE player_sessions SET presence = ?, last_seen_at = CURRENT_TIMESTAMP(3) WHERE session_id = ? AND user_id = ?',
+            [presence, sessionId, userId]
+        );
+    }
+
+    // Nobody is connected to a freshly started server
+    async resetPresence() {
+        await this.pool.query("UPDATE player_sessions SET presence = 'offline' WHERE presence <> 'offline'");
+    }
+
+    // Members in join order, with their usernames
+    async listPlayers(sessionId) {
+        const [rows] = await this.pool.query(
+            `SELECT ps.*, u.username
+             FROM player_sessions ps
+             JOIN users u ON ps.user_id = u.user_id
+             WHERE ps.session_id = ?
+             ORDER BY ps.joined_at ASC, ps.player_session_id ASC`,
+            [sessionId]
+        );
+        return rows;
+    }
+}
+
+module.exports = SessionRepo;
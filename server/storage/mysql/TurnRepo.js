@@ -0,0 +1,44 @@
+// server/storage/mysql/TurnRepo.js
+// Turn state lives on game_sessions (round, index, phase) plus session_turn_order.
+
+class TurnRepo {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    // Returns { round, turnIndex, phase, order: [userId, ...] }, or null for an unknown session
+    async get(sessionId) {
+        const [sessions] = await this.pool.query(
+            'SELECT turn_round, turn_index, turn_phase FROM game_sessions WHERE session_id = ?',
+            [sessionId]
+        );
+        if (sessions.length === 0) return null;
+
+        const [orderRows] = await this.pool.query(
+            'SELECT user_id FROM session_turn_order WHERE session_id = ? ORDER BY position ASC',
+            [sessionId]
+        );
+        return {
+            round: sessions[0].turn_round,
+            turnIndex: sessions[0].turn_index,
+            phase: sessions[0].turn_phase,
+            order: orderRows.map(row => row.user_id)
+        };
+    }
+
+    async save(sessionId, { round, turnIndex, phase, order }) {
+        await this.pool.query(
+            'UPDATE game_sessions SET turn_round = ?, turn_index = ?, turn_phase = ? WHERE session_id = ?',
+            [round, turnIndex, phase, sessionId]
+        );
+        await this.pool.query('DELETE FROM session_turn_order WHERE session_id = ?', [sessionId]);
+        if (order.length > 0) {
+            await this.pool.query(
+                'INSERT INTO session_turn_order (session_id, position, user_id) VALUES ?',
+                [order.map((userId, position) => [sessionId, position, userId])]
+            );
+        }
+    }
+}
+
+module.exports = TurnRepo;
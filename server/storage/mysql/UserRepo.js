@@ -0,0 +1,27 @@
+// server/storage/mysql/UserRepo.js
+
+class UserRepo {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async findById(userId) {
+        const [rows] = await this.pool.query('SELECT * FROM users WHERE user_id = ?', [userId]);
+        return rows[0] || null;
+    }
+
+    async findByUsername(username) {
+        const [rows] = await this.pool.query('SELECT * FROM users WHERE username = ?', [username]);
+        return rows[0] || null;
+    }
+
+    async create({ username, passwordHash = null }) {
+        const [result] = await this.pool.query(
+            'INSERT INTO users (username, password_hash) VALUES (?, ?)',
+            [username, passwordHash]
+        );
+        return this.findById(result.insertId);
+    }
+}
+
+module.exports = UserRepo;
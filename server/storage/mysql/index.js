@@ -0,0 +1,86 @@
+// server/storage/mysql/index.js
+const { createPool } = require('../../db/pool');
+const { assertSchemaCurrent } = require('../../db/migrator');
+const UserRepo = require('./UserRepo');
+const SessionRepo = require('./SessionRepo');
+const CardRepo = require('./CardRepo');
+const PlayerCardRepo = require('./PlayerCardRepo');
+const CombatLogRepo = require('./CombatLogRepo');
+const TurnRepo = require('./TurnRepo');
+const EffectRepo = require('./EffectRepo');
+const DeckRepo = require('./DeckRepo');
+const EventRepo = require('./EventRepo');
+
+// `db` is the pool, or a single connection inside a transaction; both have query()
+function createRepos(db) {
+    return {
+        users: new UserRepo(db),
+        sessions: new SessionRepo(db),
+        cards: new CardRepo(db),
+        playerCards: new PlayerCardRepo(db),
+        combatLog: new CombatLogRepo(db),
+        turns: new TurnRepo(db),
+        effects: new EffectRepo(db),
+        decks: new DeckRepo(db),
+        events: new EventRepo(db)
+    };
+}
+
+// Repos for one connection. Transactions started from them join the one in progress.
+function createTransactionRepos(connection) {
+    const tx = createRepos(connection);
+    tx.transaction = fn => fn(tx);
+    return tx;
+}
+
+function createMysqlStorage() {
+    const pool = createPool();
+    // Transactions still running, so close() can let them finish first
+    const active = new Set();
+
+    return {
+        driver: 'mysql',
+        pool,
+        ...createRepos(pool),
+
+        // Runs fn with repos bound to one connection, committing if it resolves
+        // and rolling back if it throws
+        transaction(fn) {
+            const run = (async () => {
+                const connection = await pool.getConnection();
+                try {
+                    await connection.beginTransaction();
+                    const result = await fn(createTransactionRepos(connection));
+                    await connection.commit();
+                    return result;
+                } catch (err) {
+                    await connection.rollback();
+                    throw err;
+                } finally {
+                    connection.release();
+                }
+            })();
+            active.add(run);
+            run.catch(() => {}).finally(() => active.delete(run));
+            return run;
+        },
+
+        // createPool() never touches the server, so this actually round-trips
+        async ping() {
+            await pool.query('SELECT 1');
+        },
+
+        async connect() {
+            await this.ping();
+            await assertSchemaCurrent(pool);
+        },
+
+        // Lets running transactions commit or roll back, then closes the pool
+        async close() {
+            await Promise.allSettled([...active]);
+            await pool.end();
+        }
+    };
+}
+
+module.exports = { createMysqlStorage };
@@ -0,0 +1,39 @@
+// server/test/game/cardSchema.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCard, toPlayerCardView } = require('../../game/cardSchema');
+
+function fieldsOf(fn) {
+    try {
+        fn();
+    } catch (err) {
+        assert.equal(err.code, 'INVALID_CARD');
+        return err.details.errors.map(error => error.field);
+    }
+    assert.fail('expected INVALID_CARD');
+}
+
+test('normalises a valid definition', () => {
+    const card = validateCard({ card_name: '  Rail Rifle ', card_type: 'Weapon', card_weapon_damage: 4, card_weapon_range: 5, card_weapon_effect_slot1: 'Pierce' });
+    assert.deepEqual(card, { card_name: 'Rail Rifle', card_type: 'Weapon', card_weapon_damage: 4, card_weapon_range: 5, card_weapon_effect_slot1: 'Pierce' });
+    assert.equal(validateCard({ card_name: 'Haymaker', card_type: 'Ability', card_ability_class_melee: true }).card_ability_class_melee, 1);
+});
+
+test('lists every offending field', () => {
+    assert.deepEqual(fieldsOf(() => validateCard({ card_type: 'Hero', power_level: 11, colour: 'red' })).sort(), ['card_hero_class', 'card_hero_role', 'card_name', 'colour', 'power_level']);
+    assert.deepEqual(fieldsOf(() => validateCard({ card_name: 'Odd', card_type: 'Effect', card_weapon_damage: 3 })), ['card_weapon_damage']);
+    assert.deepEqual(fieldsOf(() => validateCard({ card_name: 'Cry', card_type: 'Ability', card_ability_is_burst: 1 })), ['card_ability_burst_link_action']);
+    assert.deepEqual(fieldsOf(() => validateCard(['card_name'])), [null]);
+});
+
+test('checks changes against the current definition', () => {
+    const current = { card_name: 'Rail Rifle', card_type: 'Weapon', card_weapon_damage: 4, card_weapon_range: 5 };
+    assert.deepEqual(validateCard({ description: 'Long barrel.' }, current), { description: 'Long barrel.' });
+    assert.deepEqual(fieldsOf(() => validateCard({ card_type: 'Hero' }, current)), ['card_hero_class', 'card_hero_role', 'card_weapon_damage', 'card_weapon_range']);
+});
+
+test('other players only see where a face-down card is', () => {
+    const row = { player_card_id: 7, user_id: 2, card_id: 4, location: 'Hand', slot_id: null, is_active: 0, is_revealed: 0, card_name: 'Haymaker', card_type: 'Ability' };
+    assert.deepEqual(toPlayerCardView(row, { userId: 3, role: 'player' }), { player_card_id: 7, ownerId: 2, location: 'Hand', slot_id: null, hidden: true });
+    assert.equal(toPlayerCardView(row, { userId: 2, role: 'player' }).card_name, 'Haymaker');
+});
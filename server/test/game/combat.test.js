@@ -0,0 +1,71 @@
+// server/test/game/combat.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveAttack, resolveAbility, maxHealth, distanceBetween } = require('../../game/combat');
+
+function hero(overrides) {
+    return { card_type: 'Hero', location: 'Board', card_suit_might_modifier: 0, card_suit_agility_modifier: 0, card_suit_guts_modifier: 0, ...overrides };
+}
+
+const attacker = hero({ player_card_id: 1, user_id: 1, slot_id: 1, card_name: 'Iron Vanguard', card_suit_might_modifier: 2 });
+const target = hero({ player_card_id: 2, user_id: 2, slot_id: 1, card_name: 'Veil Oracle', card_suit_guts_modifier: 1 });
+const rifle = { player_card_id: 3, user_id: 1, card_type: 'Weapon', location: 'Board', slot_id: 2, card_name: 'Rail Rifle', card_weapon_damage: 4, card_weapon_range: 5, card_weapon_effect_slot1: 'Pierce' };
+
+test('boards face each other', () => {
+    assert.equal(distanceBetween({ slot_id: 2 }, { slot_id: 2 }), 1);
+    assert.equal(distanceBetween({ slot_id: 1 }, { slot_id: 4 }), 4);
+    assert.equal(maxHealth(hero({ card_suit_guts_modifier: 2 })), 14);
+});
+
+test('an unarmed melee attack adds might and subtracts the target\'s guts', () => {
+    const result = resolveAttack({ attacker, weapon: null, target, boardCards: [attacker, target], effects: [] });
+    assert.equal(result.distance, 1);
+    assert.deepEqual(result.hits, [{
+        playerCardId: 2,
+        damage: 2,
+        breakdown: [
+            { label: 'Unarmed', value: 1 },
+            { label: 'Iron Vanguard might', value: 2 },
+            { label: 'Defense (Veil Oracle guts)', value: -1 }
+        ]
+    }]);
+});
+
+test('a ranged weapon adds agility, and Pierce ignores defence', () => {
+    const far = { ...target, slot_id: 3 };
+    const result = resolveAttack({ attacker, weapon: rifle, target: far, boardCards: [attacker, rifle, far], effects: [] });
+    assert.equal(result.distance, 3);
+    assert.equal(result.hits[0].damage, 4);
+    assert.deepEqual(result.hits[0].breakdown.map(item => item.label), ['Weapon damage (Rail Rifle)', 'Iron Vanguard agility', 'Defense ignored (Pierce)']);
+});
+
+test('refuses attacks out of reach, on your own heroes or while stunned', () => {
+    const far = { ...target, slot_id: 3 };
+    assert.throws(() => resolveAttack({ attacker, weapon: null, target: far, boardCards: [], effects: [] }), { code: 'OUT_OF_RANGE' });
+    assert.throws(() => resolveAttack({ attacker, weapon: null, target: { ...target, user_id: 1 }, boardCards: [], effects: [] }), { code: 'INVALID_TARGET' });
+    const stunned = [{ target_player_card_id: 1, effect_type: 'stunned', remaining_turns: 1 }];
+    assert.throws(() => resolveAttack({ attacker, weapon: null, target, boardCards: [], effects: stunned }), { code: 'STUNNED' });
+    assert.throws(() => resolveAttack({ attacker, weapon: { ...rifle, location: 'Hand' }, target, boardCards: [], effects: [] }), { code: 'INVALID_WEAPON' });
+});
+
+test('splash hits the heroes beside the target for half', () => {
+    const grenades = { ...rifle, card_name: 'Ember Grenades', card_weapon_damage: 6, card_weapon_range: 3, card_weapon_effect_slot1: 'Burn', card_weapon_effect_slot2: 'Splash' };
+    const neighbour = hero({ player_card_id: 4, user_id: 2, slot_id: 2, card_name: 'Skyline Sharpshooter' });
+    const result = resolveAttack({ attacker, weapon: grenades, target, boardCards: [attacker, target, neighbour], effects: [] });
+    assert.deepEqual(result.hits.map(hit => [hit.playerCardId, hit.damage]), [[2, 7], [4, 3]]);
+    assert.deepEqual(result.effects, [{ name: 'Burn', targetPlayerCardId: 2, type: 'damage_over_time', amount: 1, turns: 2 }]);
+});
+
+test('abilities channel their strongest suit and can linger', () => {
+    const ability = {
+        player_card_id: 5, user_id: 1, card_type: 'Ability', location: 'Hand', card_name: 'Covering Fire', power_level: 2,
+        card_ability_class_longrange: 1, card_ability_class_duration: 2, card_suit_agility_modifier: 1
+    };
+    const far = { ...target, slot_id: 4 };
+    const result = resolveAbility({ caster: attacker, ability, target: far, boardCards: [attacker, far], effects: [] });
+    assert.equal(result.reach, 5);
+    assert.equal(result.hits[0].damage, 2);
+    assert.deepEqual(result.effects, [{ name: 'Covering Fire', targetPlayerCardId: 2, type: 'damage_over_time', amount: 1, turns: 2 }]);
+    assert.equal(result.burst, null);
+    assert.throws(() => resolveAbility({ caster: attacker, ability: { ...ability, location: 'Deck' }, target: far, boardCards: [], effects: [] }), { code: 'INVALID_ABILITY' });
+});
@@ -0,0 +1,70 @@
+// server/test/game/dice.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDice, rollDice, checkModifiers, resolveRoll, assertDifficulty } = require('../../game/dice');
+const { seedToState } = require('../../game/rng');
+
+test('parses dice notation', () => {
+    assert.deepEqual(parseDice('2d6+3'), { notation: '2d6+3', pool: '2d6', count: 2, sides: 6, explode: false, modifier: 3 });
+    assert.deepEqual(parseDice(' d20 '), { notation: '1d20', pool: '1d20', count: 1, sides: 20, explode: false, modifier: 0 });
+    assert.equal(parseDice('3D6!-1').notation, '3d6!-1');
+    for (const notation of ['', '2x6', '0d6', '21d6', '1d1', '1d101', '1d6+101', 42, null]) {
+        assert.throws(() => parseDice(notation), { code: 'INVALID_DICE' });
+    }
+});
+
+test('the same generator state rolls the same dice', () => {
+    const dice = parseDice('4d6');
+    const state = seedToState('dice-test');
+    const first = rollDice(dice, 'normal', state);
+    assert.deepEqual(rollDice(dice, 'normal', state), first);
+    assert.notEqual(first.state, state);
+    assert.equal(first.pools[0].length, 4);
+    assert.ok(first.pools[0].flat().every(face => face >= 1 && face <= 6));
+});
+
+test('advantage keeps the higher pass and disadvantage the lower', () => {
+    const dice = parseDice('1d20');
+    const state = seedToState('advantage');
+    const high = rollDice(dice, 'advantage', state);
+    const low = rollDice(dice, 'disadvantage', state);
+    const sums = high.pools.map(pool => pool.flat().reduce((a, b) => a + b, 0));
+    assert.equal(high.sum, Math.max(...sums));
+    assert.equal(low.sum, Math.min(...sums));
+    assert.throws(() => rollDice(dice, 'sideways', state), { code: 'INVALID_MODE' });
+});
+
+test('exploding dice roll again on their top face', () => {
+    const dice = parseDice('20d2!');
+    const { pools } = rollDice(dice, 'normal', seedToState('explode'));
+    for (const faces of pools[0]) {
+        assert.ok(faces.slice(0, -1).every(face => face === 2));
+    }
+    assert.ok(pools[0].some(faces => faces.length > 1));
+});
+
+test('totals a roll with its modifiers against the difficulty', () => {
+    const dice = parseDice('1d20+2');
+    const cards = [
+        { user_id: 1, is_active: 1, card_name: 'Iron Vanguard', card_suit_might_modifier: 2 },
+        { user_id: 1, is_active: 0, card_name: 'Benched', card_suit_might_modifier: 5 },
+        { user_id: 2, is_active: 1, card_name: 'Rival', card_suit_might_modifier: 3 }
+    ];
+    const extra = checkModifiers(cards, 1, 'might');
+    assert.deepEqual(extra, [{ label: 'Iron Vanguard might', value: 2 }]);
+    assert.throws(() => checkModifiers(cards, 1, 'luck'), { code: 'INVALID_SUIT' });
+
+    const result = resolveRoll(dice, { mode: 'normal', sum: 10 }, extra, 14);
+    assert.equal(result.total, 14);
+    assert.equal(result.success, true);
+    assert.equal(resolveRoll(dice, { mode: 'normal', sum: 9 }, extra, 14).success, false);
+    assert.equal(resolveRoll(dice, { mode: 'normal', sum: 9 }).success, null);
+});
+
+test('difficulties are whole numbers in range, or null', () => {
+    assert.doesNotThrow(() => assertDifficulty(null));
+    assert.doesNotThrow(() => assertDifficulty(15));
+    for (const difficulty of [0, 101, 2.5, '15']) {
+        assert.throws(() => assertDifficulty(difficulty), { code: 'INVALID_DIFFICULTY' });
+    }
+});
@@ -0,0 +1,45 @@
+// server/test/game/history.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cardState, diffCards, rebuildCards, undoTargets, MAX_UNDO } = require('../../game/history');
+
+function row(id, overrides) {
+    return { player_card_id: id, user_id: 1, card_id: 4, location: 'Hand', slot_id: null, deck_position: null, is_active: 0, is_revealed: 0, damage: 0, ...overrides };
+}
+
+test('diffs only the cards that changed, including created and removed ones', () => {
+    const before = [row(1), row(2), row(3)];
+    const after = [row(1), row(2, { location: 'Board', slot_id: 1, is_active: 1 }), row(4)];
+    assert.deepEqual(diffCards(before, after), [
+        { playerCardId: 2, before: cardState(before[1]), after: cardState(after[1]) },
+        { playerCardId: 3, before: cardState(before[2]), after: null },
+        { playerCardId: 4, before: null, after: cardState(after[2]) }
+    ]);
+});
+
+test('rebuilds the cards as they stood after a given event', () => {
+    const events = [
+        { seq: 1, changes: [{ playerCardId: 1, before: null, after: cardState(row(1)) }] },
+        { seq: 2, changes: [{ playerCardId: 1, before: cardState(row(1)), after: cardState(row(1, { location: 'DiscardPile' })) }] },
+        { seq: 3, changes: [{ playerCardId: 1, before: cardState(row(1, { location: 'DiscardPile' })), after: null }] }
+    ];
+    assert.equal(rebuildCards(events, 1).get(1).location, 'Hand');
+    assert.equal(rebuildCards(events, 2).get(1).location, 'DiscardPile');
+    assert.equal(rebuildCards(events).size, 0);
+    assert.equal(rebuildCards(events, 0).size, 0);
+});
+
+test('undo walks back past undos and events already reverted', () => {
+    const events = [
+        { seq: 1, event_type: 'card_created', reverted_by_seq: null },
+        { seq: 2, event_type: 'card_moved', reverted_by_seq: null },
+        { seq: 3, event_type: 'card_moved', reverted_by_seq: 4 },
+        { seq: 4, event_type: 'undo', reverted_by_seq: null }
+    ];
+    assert.deepEqual(undoTargets(events, 1).map(event => event.seq), [2]);
+    assert.deepEqual(undoTargets(events, 5).map(event => event.seq), [2, 1]);
+    assert.throws(() => undoTargets(events.slice(3), 1), { code: 'NOTHING_TO_UNDO' });
+    for (const count of [0, MAX_UNDO + 1, 1.5, '1']) {
+        assert.throws(() => undoTargets(events, count), { code: 'INVALID_COUNT' });
+    }
+});
@@ -0,0 +1,64 @@
+// server/test/game/turns.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTurns, advancePhase, reorderTurns, removeFromTurns, assertCanAct, activeUserId } = require('../../game/turns');
+
+const NOT_STARTED = { round: 0, turnIndex: 0, phase: null, order: [] };
+
+test('starts in the draw phase of the first player in the order', () => {
+    const turn = startTurns(NOT_STARTED, [2, 3]);
+    assert.deepEqual(turn, { round: 1, turnIndex: 0, phase: 'draw', order: [2, 3] });
+    assert.throws(() => startTurns(turn, [2, 3]), { code: 'TURNS_ALREADY_STARTED' });
+    assert.throws(() => startTurns(NOT_STARTED, []), { code: 'NO_PLAYERS' });
+});
+
+test('the end phase hands over to the next player, and the last one starts a new round', () => {
+    let turn = startTurns(NOT_STARTED, [2, 3]);
+    for (const phase of ['main', 'combat', 'end']) {
+        ({ turn } = advancePhase(turn));
+        assert.equal(turn.phase, phase);
+    }
+    let changed;
+    ({ turn, turnChanged: changed } = advancePhase(turn));
+    assert.equal(changed, true);
+    assert.equal(activeUserId(turn), 3);
+    assert.equal(turn.round, 1);
+
+    turn = { ...turn, phase: 'end' };
+    ({ turn } = advancePhase(turn));
+    assert.equal(activeUserId(turn), 2);
+    assert.equal(turn.round, 2);
+    assert.throws(() => advancePhase(NOT_STARTED), { code: 'TURNS_NOT_STARTED' });
+});
+
+test('reordering keeps the acting player on their turn', () => {
+    const turn = { ...startTurns(NOT_STARTED, [2, 3, 4]), turnIndex: 1 };
+    const reordered = reorderTurns(turn, [3, 4, 2], [2, 3, 4]);
+    assert.deepEqual(reordered.order, [3, 4, 2]);
+    assert.equal(activeUserId(reordered), 3);
+});
+
+test('a turn order must list every member once', () => {
+    for (const order of [[2, 2, 3], [2, 3], [2, 3, 5], 'abc', { length: 3 }, null, 7]) {
+        assert.throws(() => reorderTurns(NOT_STARTED, order, [2, 3, 4]), { code: 'INVALID_TURN_ORDER' });
+    }
+});
+
+test('removing the acting player starts the next player\'s turn', () => {
+    const turn = { ...startTurns(NOT_STARTED, [2, 3, 4]), turnIndex: 2, phase: 'combat' };
+    const { turn: after, turnChanged } = removeFromTurns(turn, 4);
+    assert.equal(turnChanged, true);
+    assert.deepEqual(after, { round: 2, turnIndex: 0, phase: 'draw', order: [2, 3] });
+
+    const earlier = removeFromTurns(turn, 2);
+    assert.equal(earlier.turnChanged, false);
+    assert.equal(activeUserId(earlier.turn), 4);
+});
+
+test('only the acting player may act, and only in the right phase', () => {
+    assert.doesNotThrow(() => assertCanAct(NOT_STARTED, 9, 'client:attack'));
+    const turn = startTurns(NOT_STARTED, [2, 3]);
+    assert.throws(() => assertCanAct(turn, 3, 'client:draw'), { code: 'NOT_YOUR_TURN' });
+    assert.throws(() => assertCanAct(turn, 2, 'client:attack'), { code: 'WRONG_PHASE' });
+    assert.doesNotThrow(() => assertCanAct(turn, 2, 'client:draw'));
+});
@@ -0,0 +1,36 @@
+// server/test/game/zones.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveMove } = require('../../game/zones');
+
+function card(overrides) {
+    return { player_card_id: 1, card_type: 'Weapon', location: 'Hand', slot_id: null, ...overrides };
+}
+
+test('moves a card into a free board slot and makes it active', () => {
+    assert.deepEqual(resolveMove(card(), 'Board', 2, [card()]), { location: 'Board', slotId: 2, isActive: true });
+});
+
+test('rejects moves the transition table does not allow', () => {
+    assert.throws(() => resolveMove(card({ location: 'Deck' }), 'Hand', null, []), { code: 'ILLEGAL_TRANSITION' });
+    assert.throws(() => resolveMove(card(), 'Graveyard', null, []), { code: 'UNKNOWN_ZONE' });
+});
+
+test('keeps heroes out of the hand', () => {
+    assert.throws(() => resolveMove(card({ card_type: 'Hero', location: 'CreatedCardStorage' }), 'Hand', null, []), { code: 'CARD_TYPE_NOT_ALLOWED' });
+});
+
+test('checks board slots', () => {
+    const occupant = card({ player_card_id: 2, location: 'Board', slot_id: 3 });
+    assert.throws(() => resolveMove(card(), 'Board', 3, [occupant]), { code: 'SLOT_OCCUPIED' });
+    assert.throws(() => resolveMove(card(), 'Board', 7, []), { code: 'INVALID_SLOT' });
+    assert.throws(() => resolveMove(card(), 'Board', null, []), { code: 'INVALID_SLOT' });
+    assert.throws(() => resolveMove(card({ location: 'Board', slot_id: 3 }), 'Board', 3, []), { code: 'ILLEGAL_TRANSITION' });
+});
+
+test('zones without slots refuse a slot id and enforce their capacity', () => {
+    assert.throws(() => resolveMove(card(), 'DiscardPile', 1, []), { code: 'SLOT_NOT_ALLOWED' });
+    const hand = Array.from({ length: 7 }, (_, i) => card({ player_card_id: i + 10 }));
+    assert.throws(() => resolveMove(card({ location: 'CreatedCardStorage' }), 'Hand', null, hand), { code: 'ZONE_FULL' });
+    assert.deepEqual(resolveMove(card({ location: 'CreatedCardStorage' }), 'Hand', null, hand.slice(1)), { location: 'Hand', slotId: null, isActive: false });
+});
@@ -0,0 +1,77 @@
+// server/test/helpers/testServer.js
+// Runs the whole app on the memory driver on a free port, with real Socket.IO
+// clients, so handler tests go through the same path as the browser does.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { io } = require('socket.io-client');
+const { createMemoryStorage } = require('../../storage/memory');
+const { createApp } = require('../../app');
+
+// How long a test waits for an event before failing instead of hanging
+const EVENT_TIMEOUT_MS = 2000;
+
+// Resolves with the payload of the next `event` that passes `filter`
+function nextEvent(socket, event, filter = () => true) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, EVENT_TIMEOUT_MS);
+        function listener(payload) {
+            if (!filter(payload)) return;
+            clearTimeout(timer);
+            socket.off(event, listener);
+            resolve(payload);
+        }
+        socket.on(event, listener);
+    });
+}
+
+// The server:actionRejected the socket gets for `event`
+function rejection(socket, event) {
+    return nextEvent(socket, 'server:actionRejected', payload => payload.event === event);
+}
+
+async function startServer() {
+    const storage = createMemoryStorage();
+    const app = createApp(storage);
+    await new Promise(resolve => app.server.listen(0, resolve));
+    const base = `http://localhost:${app.server.address().port}`;
+    const clients = [];
+
+    async function request(method, path, body, token) {
+        const headers = { 'content-type': 'application/json' };
+        if (token) headers.authorization = `Bearer ${token}`;
+        const res = await fetch(base + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        return { status: res.status, body: await res.json().catch(() => null) };
+    }
+
+    // Registers `username` and opens an authenticated socket; the socket
+    // carries its token and user for the HTTP routes
+    async function connect(username) {
+        const { body } = await request('POST', '/api/auth/register', { username, password: 'password1' });
+        const socket = io(base, { auth: { token: body.token }, transports: ['websocket'], forceNew: true, reconnection: false });
+        clients.push(socket);
+        await nextEvent(socket, 'connect');
+        socket.token = body.token;
+        socket.user = body.user;
+        return socket;
+    }
+
+    // Joins by session name and resolves with the server:gameState
+    async function join(socket, sessionName, payload = {}) {
+        const state = nextEvent(socket, 'server:gameState');
+        socket.emit('client:joinGame', { sessionId: sessionName, ...payload });
+        return state;
+    }
+
+    async function stop() {
+        clients.forEach(socket => socket.disconnect());
+        await app.close();
+        await storage.close();
+    }
+
+    return { storage, base, request, connect, join, stop };
+}
+
+module.exports = { startServer, nextEvent, rejection };
@@ -0,0 +1,40 @@
+// server/test/routes/cards.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../helpers/testServer');
+
+let server, author;
+
+before(async () => {
+    server = await startServer();
+    author = await server.connect('library_author');
+});
+
+after(() => server.stop());
+
+test('filters the library and pages through it', async () => {
+    const heroes = await server.request('GET', '/api/cards?type=Hero', undefined, author.token);
+    assert.equal(heroes.status, 200);
+    assert.ok(heroes.body.cards.length > 0);
+    assert.ok(heroes.body.cards.every(card => card.card_type === 'Hero'));
+
+    const first = await server.request('GET', '/api/cards?limit=2', undefined, author.token);
+    assert.equal(first.body.cards.length, 2);
+    const second = await server.request('GET', `/api/cards?limit=2&cursor=${first.body.nextCursor}`, undefined, author.token);
+    assert.ok(second.body.cards[0].card_id > first.body.cards[1].card_id);
+});
+
+test('a repeated filter is a bad request, not a server error', async () => {
+    for (const query of ['type=Hero&type=Weapon', 'q=a&q=b', 'minPower=1&minPower=2', 'cursor=a&cursor=b']) {
+        const { status } = await server.request('GET', `/api/cards?${query}`, undefined, author.token);
+        assert.equal(status, 400, query);
+    }
+});
+
+test('only the author may change a card', async () => {
+    const created = await server.request('POST', '/api/cards', { card_name: 'Test Jab', card_type: 'Ability', power_level: 1 }, author.token);
+    assert.equal(created.status, 201);
+    const other = await server.connect('library_other');
+    const { status } = await server.request('PUT', `/api/cards/${created.body.card.card_id}`, { description: 'Mine now.' }, other.token);
+    assert.equal(status, 403);
+});
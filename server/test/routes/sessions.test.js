@@ -0,0 +1,38 @@
+// server/test/routes/sessions.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../helpers/testServer');
+
+let server, alice, bob;
+
+before(async () => {
+    server = await startServer();
+    alice = await server.connect('lobby_alice');
+    bob = await server.connect('lobby_bob');
+});
+
+after(() => server.stop());
+
+test('creates a session with its creator as GM', async () => {
+    const { status, body } = await server.request('POST', '/api/sessions', { sessionName: 'Solo', maxPlayers: 3 }, alice.token);
+    assert.equal(status, 201);
+    assert.equal(body.session.sessionName, 'Solo');
+    assert.equal(body.session.gmUserId, alice.user.userId);
+});
+
+test('creates racing for one name give one session and SESSION_NAME_TAKEN for the rest', async () => {
+    const results = await Promise.all([alice, bob, alice].map(socket => server.request('POST', '/api/sessions', { sessionName: 'Race' }, socket.token)));
+    assert.deepEqual(results.map(result => result.status).sort(), [201, 409, 409]);
+    for (const { body } of results.filter(result => result.status === 409)) {
+        assert.equal(body.code, 'SESSION_NAME_TAKEN');
+    }
+});
+
+test('a unique-key violation from storage is reported as a taken name', async t => {
+    await server.request('POST', '/api/sessions', { sessionName: 'Twice' }, alice.token);
+    // The lobby's own check misses the first session, as if it committed just after
+    t.mock.method(server.storage.sessions, 'findByName', async () => null, { times: 1 });
+    const { status, body } = await server.request('POST', '/api/sessions', { sessionName: 'Twice' }, bob.token);
+    assert.equal(status, 409);
+    assert.equal(body.code, 'SESSION_NAME_TAKEN');
+});
@@ -0,0 +1,83 @@
+// server/test/socket/cardHandlers.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, rejection } = require('../helpers/testServer');
+
+let server, gm, player, rival, sessionId;
+
+before(async () => {
+    server = await startServer();
+    gm = await server.connect('card_gm');
+    player = await server.connect('card_player');
+    rival = await server.connect('card_rival');
+    await server.request('POST', '/api/sessions', { sessionName: 'Cards' }, gm.token);
+    ({ sessionId } = await server.join(gm, 'Cards'));
+    await server.join(player, 'Cards');
+    await server.join(rival, 'Cards');
+});
+
+after(() => server.stop());
+
+async function createCard(socket, cardId) {
+    const created = nextEvent(socket, 'server:cardCreated');
+    socket.emit('client:createCard', { sessionId, cardId });
+    return created;
+}
+
+test('joining sends the table with the joiner\'s role', async () => {
+    const state = await server.join(player, 'Cards');
+    assert.equal(state.sessionName, 'Cards');
+    assert.equal(state.role, 'player');
+    assert.deepEqual(state.players.map(p => p.username).sort(), ['card_gm', 'card_player', 'card_rival']);
+});
+
+test('a created card is face-down to everyone but its owner', async () => {
+    const seenByRival = nextEvent(rival, 'server:cardCreated');
+    const card = await createCard(player, 7);
+    assert.equal(card.card_name, 'Haymaker');
+    assert.equal(card.location, 'CreatedCardStorage');
+    const { broadcastSeq, ...view } = await seenByRival;
+    assert.equal(broadcastSeq, card.broadcastSeq);
+    assert.deepEqual(view, { player_card_id: card.player_card_id, ownerId: player.user.userId, location: 'CreatedCardStorage', slot_id: null, hidden: true });
+});
+
+test('moves a card to the board and plays it to the discard pile', async () => {
+    const card = await createCard(player, 4);
+    const moved = nextEvent(rival, 'server:cardMoved', payload => payload.player_card_id === card.player_card_id);
+    player.emit('client:moveCard', { sessionId, playerCardId: card.player_card_id, destinationLocation: 'Board', destinationSlotId: 2, version: card.version });
+    const onBoard = await moved;
+    assert.equal(onBoard.location, 'Board');
+    assert.equal(onBoard.slot_id, 2);
+    assert.equal(onBoard.card_name, 'Shock Gauntlets');
+
+    const played = nextEvent(player, 'server:cardPlayed');
+    player.emit('client:playCardAction', { sessionId, playerCardId: card.player_card_id, version: onBoard.version });
+    assert.equal((await played).location, 'DiscardPile');
+});
+
+test('refuses moves the zone rules forbid', async () => {
+    const card = await createCard(player, 1);
+    const refused = rejection(player, 'client:moveCard');
+    player.emit('client:moveCard', { sessionId, playerCardId: card.player_card_id, destinationLocation: 'Hand', version: card.version });
+    assert.equal((await refused).code, 'CARD_TYPE_NOT_ALLOWED');
+});
+
+test('a stale version gets the card back as it is now', async () => {
+    const card = await createCard(player, 5);
+    const moved = nextEvent(player, 'server:cardMoved');
+    player.emit('client:moveCard', { sessionId, playerCardId: card.player_card_id, destinationLocation: 'Hand', version: card.version });
+    await moved;
+
+    const conflict = nextEvent(player, 'server:conflict');
+    player.emit('client:moveCard', { sessionId, playerCardId: card.player_card_id, destinationLocation: 'Board', destinationSlotId: 3, version: card.version });
+    const { code, card: current } = await conflict;
+    assert.equal(code, 'STALE_VERSION');
+    assert.equal(current.location, 'Hand');
+});
+
+test('players can only move their own cards', async () => {
+    const card = await createCard(player, 6);
+    const refused = rejection(rival, 'client:moveCard');
+    rival.emit('client:moveCard', { sessionId, playerCardId: card.player_card_id, destinationLocation: 'Hand', version: card.version });
+    assert.ok(await refused);
+});
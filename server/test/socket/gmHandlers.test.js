@@ -0,0 +1,75 @@
+// server/test/socket/gmHandlers.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, rejection } = require('../helpers/testServer');
+
+let server, gm, player, sessionId;
+
+before(async () => {
+    server = await startServer();
+    gm = await server.connect('gm_gm');
+    player = await server.connect('gm_player');
+    await server.request('POST', '/api/sessions', { sessionName: 'GM' }, gm.token);
+    ({ sessionId } = await server.join(gm, 'GM'));
+    await server.join(player, 'GM');
+});
+
+after(() => server.stop());
+
+test('editCard wants its changes as an object of editable fields', async () => {
+    const created = nextEvent(player, 'server:cardCreated');
+    player.emit('client:createCard', { sessionId, cardId: 1 });
+    const card = await created;
+
+    for (const changes of [null, 'damage', 5, ['damage'], {}, { toString: 1 }, { damage: -1 }]) {
+        const refused = rejection(gm, 'client:editCard');
+        gm.emit('client:editCard', { sessionId, playerCardId: card.player_card_id, changes, version: card.version });
+        assert.equal((await refused).code, 'INVALID_EDIT', `changes: ${JSON.stringify(changes)}`);
+    }
+
+    const edited = nextEvent(player, 'server:cardEdited');
+    gm.emit('client:editCard', { sessionId, playerCardId: card.player_card_id, changes: { damage: 3 }, version: card.version });
+    assert.equal((await edited).damage, 3);
+});
+
+test('only the GM may edit cards', async () => {
+    const refused = rejection(player, 'client:editCard');
+    player.emit('client:editCard', { sessionId, playerCardId: 1, changes: { damage: 0 } });
+    assert.ok(await refused);
+});
+
+test('kickPlayer checks the user id', async () => {
+    for (const userId of ['abc', 0, null]) {
+        const refused = rejection(gm, 'client:kickPlayer');
+        gm.emit('client:kickPlayer', { sessionId, userId });
+        assert.equal((await refused).code, 'INVALID_USER');
+    }
+    const self = rejection(gm, 'client:kickPlayer');
+    gm.emit('client:kickPlayer', { sessionId, userId: String(gm.user.userId) });
+    assert.equal((await self).code, 'CANNOT_KICK_SELF');
+});
+
+test('a storage failure while kicking is logged and reported to the GM', async t => {
+    const written = [];
+    t.mock.method(process.stderr, 'write', line => written.push(String(line)));
+    t.mock.method(server.storage.sessions, 'setRole', async () => {
+        throw new Error('disk full');
+    });
+
+    const failed = nextEvent(gm, 'error');
+    gm.emit('client:kickPlayer', { sessionId, userId: player.user.userId });
+    assert.match(await failed, /Failed to kick player/);
+    const entry = JSON.parse(written.find(line => line.includes('Error kicking player')));
+    assert.equal(entry.targetUserId, player.user.userId);
+    assert.equal(entry.err.message, 'disk full');
+});
+
+test('a kicked player is told and dropped from the table', async () => {
+    const kicked = nextEvent(gm, 'server:playerKicked');
+    gm.emit('client:kickPlayer', { sessionId, userId: player.user.userId });
+    assert.deepEqual(await kicked, { sessionId, userId: player.user.userId, broadcastSeq: (await kicked).broadcastSeq });
+
+    const refused = rejection(gm, 'client:kickPlayer');
+    gm.emit('client:kickPlayer', { sessionId, userId: player.user.userId });
+    assert.equal((await refused).code, 'PLAYER_NOT_FOUND');
+});
@@ -0,0 +1,51 @@
+// server/test/socket/historyHandlers.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, rejection } = require('../helpers/testServer');
+
+let server, gm, player, sessionId;
+
+before(async () => {
+    server = await startServer();
+    gm = await server.connect('undo_gm');
+    player = await server.connect('undo_player');
+    const { body } = await server.request('POST', '/api/decks', { deckName: 'Strikes', cards: [{ cardId: 7, quantity: 4 }] }, player.token);
+    await server.request('POST', '/api/sessions', { sessionName: 'Undo' }, gm.token);
+    ({ sessionId } = await server.join(gm, 'Undo'));
+    await server.join(player, 'Undo', { deckId: body.deck.deckId });
+});
+
+after(() => server.stop());
+
+test('undoing a draw names the cards that went back to the draw pile', async () => {
+    const drew = nextEvent(player, 'server:cardsDrawn');
+    player.emit('client:draw', { sessionId, count: 2 });
+    const { cards, deckCount } = await drew;
+    assert.equal(deckCount, 2);
+
+    const undone = nextEvent(player, 'server:actionsUndone');
+    gm.emit('client:undo', { sessionId });
+    const result = await undone;
+    assert.deepEqual(result.returnedToDeckIds.sort(), cards.map(card => card.player_card_id).sort());
+    assert.deepEqual(result.removedCardIds, []);
+    assert.deepEqual(result.cards, []);
+    assert.equal(result.deckCounts[player.user.userId], 4);
+});
+
+test('undoing a created card removes it', async () => {
+    const created = nextEvent(player, 'server:cardCreated');
+    player.emit('client:createCard', { sessionId, cardId: 1 });
+    const card = await created;
+
+    const undone = nextEvent(player, 'server:actionsUndone');
+    gm.emit('client:undo', { sessionId });
+    const result = await undone;
+    assert.deepEqual(result.removedCardIds, [card.player_card_id]);
+    assert.deepEqual(result.returnedToDeckIds, []);
+});
+
+test('only the GM may undo', async () => {
+    const refused = rejection(player, 'client:undo');
+    player.emit('client:undo', { sessionId });
+    assert.ok(await refused);
+});
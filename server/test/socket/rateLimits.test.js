@@ -0,0 +1,61 @@
+// server/test/socket/rateLimits.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SOCKET_LIMIT, EVENT_LIMITS, MAX_PAYLOAD_BYTES, createRateLimiter } = require('../../socket/rateLimits');
+
+// A socket that records what it was sent, and a clock the test moves by hand
+function setup() {
+    const clock = { time: 0 };
+    const sent = [];
+    const socket = { data: { log: { warn() {} } }, emit: (event, payload) => sent.push({ event, ...payload }) };
+    const limiter = createRateLimiter(socket, { now: () => clock.time });
+
+    // Returns the packet as the handler would get it, or the rejection code
+    function send(event, ...args) {
+        const packet = [event, ...args];
+        let passed = false;
+        limiter(packet, () => { passed = true; });
+        return passed ? packet : sent[sent.length - 1].code;
+    }
+    return { clock, sent, send };
+}
+
+test('tight events run out before the socket does, and refill over time', () => {
+    const { clock, sent, send } = setup();
+    const { burst, perSecond } = EVENT_LIMITS['client:createCard'];
+    for (let i = 0; i < burst; i++) {
+        assert.notEqual(send('client:createCard', {}), 'RATE_LIMITED');
+    }
+    assert.equal(send('client:createCard', {}), 'RATE_LIMITED');
+    assert.equal(sent[0].details.scope, 'event');
+    assert.equal(sent[0].details.retryAfterMs, 1000 / perSecond);
+    assert.notEqual(send('client:moveCard', {}), 'RATE_LIMITED');
+
+    clock.time += 1000 / perSecond;
+    assert.notEqual(send('client:createCard', {}), 'RATE_LIMITED');
+});
+
+test('unknown event names share one bucket', () => {
+    const { send } = setup();
+    const results = Array.from({ length: 25 }, (_, i) => send(`client:made-up-${i}`, {}));
+    assert.ok(results.includes('RATE_LIMITED'));
+});
+
+test('refused payloads still cost a socket token', () => {
+    const { sent, send } = setup();
+    for (let i = 0; i < SOCKET_LIMIT.burst; i++) {
+        assert.equal(send('client:moveCard', 'not an object'), 'INVALID_PAYLOAD');
+    }
+    assert.equal(send('client:moveCard', {}), 'RATE_LIMITED');
+    assert.equal(sent[sent.length - 1].details.scope, 'socket');
+});
+
+test('checks payload size and shape', () => {
+    const { send } = setup();
+    assert.equal(send('client:rollDice', { dice: 'd6', pad: 'x'.repeat(MAX_PAYLOAD_BYTES) }), 'PAYLOAD_TOO_LARGE');
+    for (const payload of [null, [], 'd6', 6]) {
+        assert.equal(send('client:rollDice', payload), 'INVALID_PAYLOAD');
+    }
+    assert.deepEqual(send('client:getHistory'), ['client:getHistory', {}]);
+    assert.deepEqual(send('client:rollDice', { dice: 'd6' }), ['client:rollDice', { dice: 'd6' }]);
+});
@@ -0,0 +1,57 @@
+// server/test/socket/turnHandlers.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextEvent, rejection } = require('../helpers/testServer');
+
+let server, gm, alice, bob, sessionId;
+
+before(async () => {
+    server = await startServer();
+    gm = await server.connect('turn_gm');
+    alice = await server.connect('turn_alice');
+    bob = await server.connect('turn_bob');
+    await server.request('POST', '/api/sessions', { sessionName: 'Turns' }, gm.token);
+    ({ sessionId } = await server.join(gm, 'Turns'));
+    await server.join(alice, 'Turns');
+    await server.join(bob, 'Turns');
+});
+
+after(() => server.stop());
+
+test('a turn order that isn\'t a list of everyone at the table is refused', async () => {
+    for (const order of ['abc', { 0: alice.user.userId }, 42, [alice.user.userId]]) {
+        const refused = rejection(gm, 'client:startTurns');
+        gm.emit('client:startTurns', { sessionId, order });
+        assert.equal((await refused).code, 'INVALID_TURN_ORDER', `order: ${JSON.stringify(order)}`);
+    }
+});
+
+test('starts turns in the GM\'s order and only lets the acting player advance', async () => {
+    const order = [bob.user.userId, alice.user.userId, gm.user.userId];
+    const started = nextEvent(alice, 'server:turnChanged');
+    gm.emit('client:startTurns', { sessionId, order });
+    const turn = await started;
+    assert.deepEqual(turn.turnOrder, order);
+    assert.equal(turn.activeUserId, bob.user.userId);
+    assert.equal(turn.phase, 'draw');
+
+    const refused = rejection(alice, 'client:advancePhase');
+    alice.emit('client:advancePhase', { sessionId });
+    assert.ok(await refused);
+
+    const phase = nextEvent(alice, 'server:phaseChanged');
+    bob.emit('client:advancePhase', { sessionId });
+    assert.equal((await phase).phase, 'main');
+});
+
+test('reordering mid-game keeps the acting player', async () => {
+    const refused = rejection(gm, 'client:reorderTurns');
+    gm.emit('client:reorderTurns', { sessionId, order: 'reverse' });
+    assert.equal((await refused).code, 'INVALID_TURN_ORDER');
+
+    const changed = nextEvent(alice, 'server:turnChanged');
+    gm.emit('client:reorderTurns', { sessionId, order: [alice.user.userId, gm.user.userId, bob.user.userId] });
+    const turn = await changed;
+    assert.deepEqual(turn.turnOrder, [alice.user.userId, gm.user.userId, bob.user.userId]);
+    assert.equal(turn.activeUserId, bob.user.userId);
+});